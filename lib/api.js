@@ -10,9 +10,27 @@ var fs = require('fs');
 var os = require('os');
 var trace_event = require('trace-event');
 var vm = require('vm');
+var vasync = require('vasync');
 var Logger = require('bunyan');
 var Factory = require('../lib/index').Factory;
+var checkParamsSchema = require('./workflow-factory').checkParamsSchema;
 var createMetricsManager = require('triton-metrics').createMetricsManager;
+var crypto = require('crypto');
+
+
+// JSON representation of the given value with object keys sorted, so equal
+// request bodies get the same representation regardless of keys order:
+function canonicalJSON(val) {
+    if (Array.isArray(val)) {
+        return '[' + val.map(canonicalJSON).join(',') + ']';
+    }
+    if (val !== null && typeof (val) === 'object') {
+        return '{' + Object.keys(val).sort().map(function (k) {
+            return JSON.stringify(k) + ':' + canonicalJSON(val[k]);
+        }).join(',') + '}';
+    }
+    return JSON.stringify(val);
+}
 
 
 var API = module.exports = function (opts) {
@@ -81,6 +99,10 @@ var API = module.exports = function (opts) {
     opts.backend.opts.log = log;
     var backend = Backend(opts.backend.opts);
     var factory = Factory(backend);
+    // Job creation requests repeating an idempotency key get the job created
+    // by the first request during this many seconds (one day by default):
+    var idempotency_window = (typeof (opts.api.idempotency_window) ===
+            'number') ? opts.api.idempotency_window * 1000 : 86400000;
 
     // Define path and versioned routes:
     var WORKFLOWS_PATH = '/workflows';
@@ -93,6 +115,11 @@ var API = module.exports = function (opts) {
         path: WORKFLOW_PATH,
         version: '0.1.0'
     };
+    var WORKFLOW_VERSIONS_PATH = WORKFLOW_PATH + '/versions';
+    var WORKFLOW_VERSIONS_ROUTE = {
+        path: WORKFLOW_VERSIONS_PATH,
+        version: '0.1.0'
+    };
 
     var JOBS_PATH = '/jobs';
     var JOB_PATH = JOBS_PATH + '/:uuid';
@@ -129,6 +156,47 @@ var API = module.exports = function (opts) {
         path: JOB_RESUME_PATH,
         version: '0.1.0'
     };
+    var JOB_PAUSE_PATH = JOB_PATH + '/pause';
+    var JOB_PAUSE_ROUTE = {
+        path: JOB_PAUSE_PATH,
+        version: '0.1.0'
+    };
+    var JOB_RETRY_PATH = JOB_PATH + '/retry';
+    var JOB_RETRY_ROUTE = {
+        path: JOB_RETRY_PATH,
+        version: '0.1.0'
+    };
+    var JOB_RERUN_PATH = JOB_PATH + '/rerun';
+    var JOB_RERUN_ROUTE = {
+        path: JOB_RERUN_PATH,
+        version: '0.1.0'
+    };
+    var JOB_PRIORITY_PATH = JOB_PATH + '/priority';
+    var JOB_PRIORITY_ROUTE = {
+        path: JOB_PRIORITY_PATH,
+        version: '0.1.0'
+    };
+    var JOB_EXEC_AFTER_PATH = JOB_PATH + '/exec_after';
+    var JOB_EXEC_AFTER_ROUTE = {
+        path: JOB_EXEC_AFTER_PATH,
+        version: '0.1.0'
+    };
+    var JOB_SIGNAL_PATH = JOB_PATH + '/signals/:name';
+    var JOB_SIGNAL_ROUTE = {
+        path: JOB_SIGNAL_PATH,
+        version: '0.1.0'
+    };
+
+    var SCHEDULES_PATH = '/schedules';
+    var SCHEDULE_PATH = SCHEDULES_PATH + '/:uuid';
+    var SCHEDULES_ROUTE = {
+        path: SCHEDULES_PATH,
+        version: '0.1.0'
+    };
+    var SCHEDULE_ROUTE = {
+        path: SCHEDULE_PATH,
+        version: '0.1.0'
+    };
 
     var PING_PATH = '/ping';
     var PING_ROUTE = {
@@ -242,7 +310,9 @@ var API = module.exports = function (opts) {
         var workflow = {};
         var wf_members = ['name', 'uuid', 'timeout', 'chain', 'onerror',
                           'max_attempts', 'initial_delay', 'max_delay',
-                          'oncancel'];
+                          'oncancel', 'params_schema', 'queue',
+                          'max_concurrency', 'serialize_target',
+                          'recovery'];
         var error;
         var meta = {};
 
@@ -258,47 +328,49 @@ var API = module.exports = function (opts) {
             }
         });
 
-        if (workflow.chain) {
-            workflow.chain.forEach(function (task, i, arr) {
-                if (!task.body) {
-                    error = new restify.ConflictError('Task body is required');
-                }
-                task.body = vm.runInNewContext('(' + task.body + ')', {});
-                if (task.fallback) {
-                    task.fallback =
-                        vm.runInNewContext('(' + task.fallback + ')', {});
+        // Evaluate task functions given as strings. Tasks can also be groups
+        // of tasks to run in parallel:
+        function evalTask(task) {
+            if (task.parallel) {
+                if (!Array.isArray(task.parallel)) {
+                    error = new restify.ConflictError(
+                        'Group "parallel" must be an array');
+                    return task;
                 }
-                workflow.chain[i] = task;
-            });
-        }
-
-        if (workflow.onerror) {
-            workflow.onerror.forEach(function (task, i, arr) {
-                if (!task.body) {
-                    error = new restify.ConflictError('Task body is required');
-                }
-                task.body = vm.runInNewContext('(' + task.body + ')', {});
-                if (task.fallback) {
-                    task.fallback =
-                        vm.runInNewContext('(' + task.fallback + ')', {});
-                }
-                workflow.onerror[i] = task;
-            });
+                task.parallel = task.parallel.map(evalTask);
+                return task;
+            }
+            if (task.compensate) {
+                task.compensate =
+                    vm.runInNewContext('(' + task.compensate + ')', {});
+            }
+            // Sub-workflow tasks have no other functions to evaluate:
+            if (task.workflow) {
+                return task;
+            }
+            if (!task.body) {
+                error = new restify.ConflictError('Task body is required');
+            }
+            task.body = vm.runInNewContext('(' + task.body + ')', {});
+            if (task.fallback) {
+                task.fallback =
+                    vm.runInNewContext('(' + task.fallback + ')', {});
+            }
+            if (task.when) {
+                task.when = vm.runInNewContext('(' + task.when + ')', {});
+            }
+            if (typeof (task.retry_on) === 'string') {
+                task.retry_on =
+                    vm.runInNewContext('(' + task.retry_on + ')', {});
+            }
+            return task;
         }
 
-        if (workflow.oncancel) {
-            workflow.oncancel.forEach(function (task, i, arr) {
-                if (!task.body) {
-                    error = new restify.ConflictError('Task body is required');
-                }
-                task.body = vm.runInNewContext('(' + task.body + ')', {});
-                if (task.fallback) {
-                    task.fallback =
-                        vm.runInNewContext('(' + task.fallback + ')', {});
-                }
-                workflow.oncancel[i] = task;
-            });
-        }
+        ['chain', 'onerror', 'oncancel'].forEach(function (c) {
+            if (workflow[c]) {
+                workflow[c] = workflow[c].map(evalTask);
+            }
+        });
 
         if (error) {
             return next(error);
@@ -310,6 +382,9 @@ var API = module.exports = function (opts) {
 
         return factory.workflow(workflow, meta, function (err, result) {
             if (err) {
+                if (typeof (err) === 'string') {
+                    return next(new restify.ConflictError(err));
+                }
                 return next(err.toRestError);
             }
             res.header('Location', req.path() + '/' + result.uuid);
@@ -352,28 +427,53 @@ var API = module.exports = function (opts) {
 
         meta.req_id = req.id;
 
-        if (req.params.chain) {
-            req.params.chain.forEach(function (task) {
-                if (!task.body) {
-                    error = new restify.ConflictError('Task body is required');
+        function checkTask(task) {
+            if (task.parallel) {
+                if (!Array.isArray(task.parallel)) {
+                    error = new restify.ConflictError(
+                        'Group "parallel" must be an array');
+                } else {
+                    task.parallel.forEach(checkTask);
                 }
-            });
+            } else if (!task.body && !task.workflow) {
+                error = new restify.ConflictError('Task body is required');
+            }
         }
 
-        if (req.params.onerror) {
-            req.params.onerror.forEach(function (task) {
-                if (!task.body) {
-                    error = new restify.ConflictError('Task body is required');
-                }
-            });
+        ['chain', 'onerror', 'oncancel'].forEach(function (c) {
+            if (req.params[c]) {
+                req.params[c].forEach(checkTask);
+            }
+        });
+
+        if (typeof (req.params.queue) !== 'undefined' &&
+                (typeof (req.params.queue) !== 'string' ||
+                 !req.params.queue)) {
+            error = new restify.ConflictError(
+                'Workflow "queue" must be a non empty string');
         }
 
-        if (req.params.oncancel) {
-            req.params.oncancel.forEach(function (task) {
-                if (!task.body) {
-                    error = new restify.ConflictError('Task body is required');
-                }
-            });
+        if (typeof (req.params.max_concurrency) !== 'undefined' &&
+                (typeof (req.params.max_concurrency) !== 'number' ||
+                 Math.round(req.params.max_concurrency) !==
+                    req.params.max_concurrency ||
+                 req.params.max_concurrency < 1)) {
+            error = new restify.ConflictError(
+                'Workflow "max_concurrency" must be a positive integer');
+        }
+
+        if (typeof (req.params.recovery) !== 'undefined' &&
+                ['cancel', 'requeue', 'requeue-if-idempotent'].indexOf(
+                    req.params.recovery) === -1) {
+            error = new restify.ConflictError('Workflow "recovery" must be ' +
+                'one of "cancel", "requeue", "requeue-if-idempotent"');
+        }
+
+        if (typeof (req.params.params_schema) !== 'undefined') {
+            var schemaError = checkParamsSchema(req.params.params_schema);
+            if (schemaError) {
+                error = new restify.ConflictError(schemaError);
+            }
         }
 
         if (error) {
@@ -390,6 +490,32 @@ var API = module.exports = function (opts) {
             });
     }
 
+    function listWorkflowVersions(req, res, next) {
+        // If Request-Id hasn't been set, we'll set it to workflow UUID:
+        if (!req.headers['request-id']) {
+            res.header('request-id',  req.params.uuid);
+        }
+
+        var meta = {
+            req_id: req.id
+        };
+
+        if (typeof (backend.getWorkflowVersions) !== 'function') {
+            return next(new restify.NotImplementedError(
+              'Backend does not support workflow versions'));
+        }
+
+        return backend.getWorkflowVersions(req.params.uuid, meta,
+            function (err, workflows) {
+            if (err) {
+                return next(err.toRestError);
+            } else {
+                res.send(200, workflows);
+                return next();
+            }
+        });
+    }
+
     function deleteWorkflow(req, res, next) {
         // If Request-Id hasn't been set, we'll set it to workflow UUID:
         if (!req.headers['request-id']) {
@@ -423,8 +549,8 @@ var API = module.exports = function (opts) {
     }
 
     function listJobs(req, res, next) {
-        var exec_values =
-          ['queued', 'failed', 'succeeded', 'running', 'canceled'],
+        var exec_values = ['queued', 'failed', 'succeeded', 'running',
+            'canceled', 'blocked'],
             cb = function (err, jobs, count) {
                 if (err) {
                     if (err.toRestError) {
@@ -444,7 +570,7 @@ var API = module.exports = function (opts) {
             if (exec_values.indexOf(req.params.execution) === -1) {
                 return next(new restify.ConflictError(
                   'Execution must be one of queued, failed, ' +
-                  'succeeded, canceled or running'));
+                  'succeeded, canceled, running or blocked'));
             }
         }
 
@@ -537,7 +663,10 @@ var API = module.exports = function (opts) {
         };
         var meta = {};
         var members = ['exec_after', 'workflow', 'target', 'num_attempts',
-                        'uuid', 'locks'];
+                        'uuid', 'locks', 'workflow_version', 'priority',
+                        'queue', 'on_conflict', 'idempotency_key',
+                        'depends_on', 'depends_on_outcome'];
+        var key;
 
         var job_members = [];
         if (typeof (opts.api.job_extra_params) !== 'undefined') {
@@ -560,22 +689,71 @@ var API = module.exports = function (opts) {
             meta.req_id = req.headers['request-id'];
         }
 
-        factory.job(job, meta, function (err, result) {
-            if (err) {
-                if (typeof (err) === 'string') {
-                    return next(new restify.ConflictError(err));
-                } else {
-                    return next(err.toRestError);
-                }
-            }
+        // The header takes precedence over the job member. Either way, the
+        // key is not part of the request body compared with previous ones:
+        key = req.headers['idempotency-key'] || job.idempotency_key;
+        delete job.idempotency_key;
+        if (key) {
+            job.idempotency_md5 = crypto.createHash('md5').update(
+                    canonicalJSON(job), 'utf8').digest('hex');
+            job.idempotency_key = key;
+        }
+
+        function sendJob(status, result) {
             // If Request-Id hasn't been set, we'll set it to job UUID:
             if (!req.headers['request-id']) {
                 res.header('request-id',  result.uuid);
             }
             res.header('Location', req.path() + '/' + result.uuid);
-            res.status(201);
+            res.status(status);
             res.send(result);
             return next();
+        }
+
+        function createJob() {
+            factory.job(job, meta, function (err, result) {
+                if (err) {
+                    if (typeof (err) === 'string') {
+                        return next(new restify.ConflictError(err));
+                    } else {
+                        return next(err.toRestError);
+                    }
+                }
+                return sendJob(201, result);
+            });
+        }
+
+        // Ignoring them would queue the job right away:
+        if ((typeof (job.depends_on) !== 'undefined' ||
+                typeof (job.depends_on_outcome) !== 'undefined') &&
+                !backend.blocks_jobs) {
+            return next(new restify.NotImplementedError(
+              'Backend does not support job dependencies'));
+        }
+
+        if (!key) {
+            return createJob();
+        }
+
+        // Ignoring the key could create duplicated jobs:
+        if (typeof (backend.getJobByIdempotencyKey) !== 'function') {
+            return next(new restify.NotImplementedError(
+              'Backend does not support idempotency keys'));
+        }
+
+        return backend.getJobByIdempotencyKey(key, function (err, prev) {
+            if (err) {
+                return next(err.toRestError);
+            }
+            if (!prev || Date.now() - new Date(prev.created_at).getTime() >
+                    idempotency_window) {
+                return createJob();
+            }
+            if (prev.idempotency_md5 !== job.idempotency_md5) {
+                return next(new restify.UnprocessableEntityError(
+                  'Idempotency key already used with a different request'));
+            }
+            return sendJob(200, prev);
         });
     }
 
@@ -591,10 +769,24 @@ var API = module.exports = function (opts) {
         backend.getJob(req.params.uuid, meta, function (err, job) {
             if (err) {
                 return next(err.toRestError);
-            } else {
+            }
+            // Include the jobs it depends on and the jobs depending on it,
+            // if any, with their executions. Not every backend knows about
+            // job dependencies:
+            if (typeof (backend.getJobDependencies) !== 'function') {
                 res.send(200, job);
                 return next();
             }
+            return backend.getJobDependencies(job.uuid, function (err2, deps) {
+                if (err2) {
+                    return next(err2.toRestError);
+                }
+                if (deps.depends_on.length || deps.dependents.length) {
+                    job.dependencies = deps;
+                }
+                res.send(200, job);
+                return next();
+            });
         });
     }
 
@@ -642,6 +834,44 @@ var API = module.exports = function (opts) {
         });
     }
 
+    // Cancel every unfinished child job created by the given job, and their
+    // own child jobs, if any:
+    function cancelChildJobs(job, meta, callback) {
+        if (!util.isArray(job.child_jobs) || !job.child_jobs.length) {
+            return callback();
+        }
+
+        return vasync.forEachParallel({
+            inputs: job.child_jobs,
+            func: function cancelChild(child_uuid, cb) {
+                backend.getJob(child_uuid, function (err, child) {
+                    if (err) {
+                        return cb(err);
+                    }
+                    if (child.execution === 'succeeded' ||
+                        child.execution === 'failed' ||
+                        child.execution === 'canceled') {
+                        return cb();
+                    }
+                    return backend.updateJobProperty(
+                      child.uuid,
+                      'execution',
+                      'canceled',
+                      meta,
+                      function (err2) {
+                        if (err2) {
+                            return cb(err2);
+                        }
+                        log.info('Child job %s canceled', child.uuid);
+                        return cancelChildJobs(child, meta, cb);
+                      });
+                });
+            }
+        }, function (err) {
+            return callback(err);
+        });
+    }
+
     function cancelJob(req, res, next) {
         var meta = {};
         backend.getJob(req.params.uuid, function (err, job) {
@@ -669,10 +899,202 @@ var API = module.exports = function (opts) {
                     }
                     job.execution = 'canceled';
                     log.info('Job %s canceled', req.params.uuid);
+                    return cancelChildJobs(job, meta, function (err2) {
+                        if (err2) {
+                            return next(new restify.InternalError(err2));
+                        }
+                        res.send(200, job);
+                        return next();
+                    });
+                  });
+            }
+        });
+    }
+
+    // Change the priority of a queued job, given as 'priority' param:
+    function updateJobPriority(req, res, next) {
+        var meta = {};
+        var priority = req.params.priority;
+
+        if (typeof (priority) === 'string' && /^-?\d+$/.test(priority)) {
+            priority = Number(priority);
+        }
+
+        if (typeof (priority) !== 'number' ||
+                Math.round(priority) !== priority) {
+            return next(new restify.ConflictError(
+              'Job priority must be an integer'));
+        }
+
+        return backend.getJob(req.params.uuid, function (err, job) {
+            if (err) {
+                return next(err.toRestError);
+            } else if (job.execution !== 'queued') {
+                return next(new restify.ConflictError(
+                  'Only queued jobs can change their priority'));
+            }
+
+            // If Request-Id hasn't been set, we'll set it to job UUID:
+            if (!req.headers['request-id']) {
+                res.header('request-id',  req.params.uuid);
+            }
+            meta.req_id = req.id;
+
+            return backend.updateJobProperty(
+              job.uuid,
+              'priority',
+              priority,
+              meta,
+              function (err2) {
+                if (err2) {
+                    return next(new restify.InternalError(err2));
+                }
+                job.priority = priority;
+                log.info('Job %s priority set to %d', job.uuid, priority);
+                res.send(200, job);
+                return next();
+            });
+        });
+    }
+
+    // Reschedule a queued job to run after the given 'exec_after' date, or
+    // expedite it, when the date is not in the future:
+    function updateJobExecAfter(req, res, next) {
+        var meta = {};
+        var exec_after = new Date(req.params.exec_after);
+
+        if (typeof (req.params.exec_after) !== 'string' ||
+                isNaN(exec_after.getTime())) {
+            return next(new restify.ConflictError(
+              'Job exec_after must be an ISO 8601 date'));
+        }
+
+        return backend.getJob(req.params.uuid, function (err, job) {
+            if (err) {
+                return next(err.toRestError);
+            } else if (job.execution !== 'queued') {
+                return next(new restify.ConflictError(
+                  'Only queued jobs can change their exec_after'));
+            }
+
+            // If Request-Id hasn't been set, we'll set it to job UUID:
+            if (!req.headers['request-id']) {
+                res.header('request-id',  req.params.uuid);
+            }
+            meta.req_id = req.id;
+
+            return backend.updateJobProperty(
+              job.uuid,
+              'exec_after',
+              exec_after.toISOString(),
+              meta,
+              function (err2) {
+                if (err2) {
+                    return next(new restify.InternalError(err2));
+                }
+                job.exec_after = exec_after.toISOString();
+                log.info('Job %s exec_after set to %s', job.uuid,
+                    job.exec_after);
+                res.send(200, job);
+                return next();
+            });
+        });
+    }
+
+    // Save the signal with the given name into the job's `signals`, together
+    // with the request body as payload. When the job is waiting for this
+    // signal, it's resumed. Signals can be sent before the job waits for
+    // them too.
+    function signalJob(req, res, next) {
+        var meta = {};
+        var payload = (req.body && typeof (req.body) === 'object') ?
+            req.body : {};
+
+        backend.getJob(req.params.uuid, function (err, job) {
+            if (err) {
+                return next(err.toRestError);
+            } else if (job.execution === 'succeeded' ||
+                            job.execution === 'failed' ||
+                            job.execution === 'canceled') {
+                return next(new restify.ConflictError(
+                  'Finished jobs cannot be signaled'));
+            }
+
+            // If Request-Id hasn't been set, we'll set it to job UUID:
+            if (!req.headers['request-id']) {
+                res.header('request-id',  req.params.uuid);
+            }
+            meta.req_id = req.id;
+
+            if (!job.signals) {
+                job.signals = {};
+            }
+            job.signals[req.params.name] = payload;
+
+            return backend.updateJobProperty(
+              job.uuid,
+              'signals',
+              job.signals,
+              meta,
+              function (err2) {
+                if (err2) {
+                    return next(new restify.InternalError(err2));
+                }
+                log.info('Job %s received signal %s', job.uuid,
+                    req.params.name);
+
+                var last = job.chain_results[job.chain_results.length - 1];
+                if (job.execution !== 'waiting' || !last ||
+                    last.signal !== req.params.name ||
+                    last.signal_received_at) {
                     res.send(200, job);
                     return next();
-                  });
+                }
+
+                return backend.resumeJob(job, function (err3, theJob) {
+                    if (err3) {
+                        return next(new restify.InternalError(err3));
+                    }
+                    log.info('Job %s resumed', job.uuid);
+                    res.send(200, theJob);
+                    return next();
+                });
+            });
+        });
+    }
+
+    // Ask the runner of a running job to pause it once the current task
+    // finishes. The job will be waiting, with a `paused_at` member, until
+    // it's resumed:
+    function pauseJob(req, res, next) {
+        var meta = {};
+        backend.getJob(req.params.uuid, function (err, job) {
+            if (err) {
+                return next(err.toRestError);
+            } else if (job.execution !== 'running') {
+                return next(new restify.ConflictError(
+                  'Only running jobs can be paused'));
+            }
+            // If Request-Id hasn't been set, we'll set it to job UUID:
+            if (!req.headers['request-id']) {
+                res.header('request-id',  req.params.uuid);
             }
+            meta.req_id = req.id;
+
+            return backend.updateJobProperty(
+              job.uuid,
+              'pause_requested',
+              true,
+              meta,
+              function (err2) {
+                if (err2) {
+                    return next(new restify.InternalError(err2));
+                }
+                job.pause_requested = true;
+                log.info('Job %s pause requested', req.params.uuid);
+                res.send(200, job);
+                return next();
+            });
         });
     }
 
@@ -697,6 +1119,25 @@ var API = module.exports = function (opts) {
                 }
                 meta.req_id = req.id;
 
+                // Any pause requested is done once the job is waiting:
+                if (job.pause_requested) {
+                    job.pause_requested = false;
+                }
+
+                // Jobs paused through the API are just queued again, with
+                // their results untouched:
+                if (job.paused_at) {
+                    delete job.paused_at;
+                    return backend.resumeJob(job, function (err2, theJob) {
+                        if (err2) {
+                            return next(err2.toRestError);
+                        }
+                        log.info('Job %s resumed', req.params.uuid);
+                        res.send(200, theJob);
+                        return next();
+                    });
+                }
+
                 job.execution = (req.params.error) ? 'failed' : 'queued';
                 var r = job.chain_results[job.chain_results.length - 1];
                 r.result = (req.params.result) ? req.params.result :
@@ -716,6 +1157,279 @@ var API = module.exports = function (opts) {
             }
         });
     }
+
+    // Create a new attempt of a finished job, the same way runners do when
+    // a task asks for a retry. Accepts 'params' to override the job params,
+    // 'exec_after' and 'force' to retry the job even when its 'max_attempts'
+    // have been reached.
+    function retryJob(req, res, next) {
+        var opts = {
+            params: req.params.params,
+            exec_after: req.params.exec_after,
+            force: (req.params.force === true || req.params.force === 'true')
+        };
+
+        backend.getJob(req.params.uuid, function (err, job) {
+            if (err) {
+                return next(err.toRestError);
+            } else if (job.execution !== 'succeeded' &&
+                    job.execution !== 'failed' &&
+                    job.execution !== 'canceled') {
+                return next(new restify.ConflictError(
+                  'Only finished jobs can be retried'));
+            } else if (job.next_attempt) {
+                return next(new restify.ConflictError(
+                  'Job has been already retried by job ' + job.next_attempt));
+            }
+
+            // If Request-Id hasn't been set, we'll set it to job UUID:
+            if (!req.headers['request-id']) {
+                res.header('request-id',  req.params.uuid);
+            }
+
+            return factory.retry(job, opts, function (err2, result) {
+                if (err2) {
+                    if (typeof (err2) === 'string') {
+                        return next(new restify.ConflictError(err2));
+                    } else if (err2.toRestError) {
+                        return next(err2.toRestError);
+                    } else {
+                        return next(new restify.InternalError(err2));
+                    }
+                }
+                log.info('Job %s retried as job %s', job.uuid, result.uuid);
+                res.header('Location', JOBS_PATH + '/' + result.uuid);
+                res.status(201);
+                res.send(result);
+                return next();
+            });
+        });
+    }
+
+    // Properties of a job which belong to its own execution, and are not
+    // given to the new job when it's rerun:
+    var RERUN_OMITTED_PROPS = [
+        'uuid', 'workflow_uuid', 'execution', 'runner_id', 'created_at',
+        'started', 'elapsed', 'exec_after', 'chain_results', 'onerror_results',
+        'oncancel_results', 'compensation_results', 'child_jobs', 'signals',
+        'info', 'log', 'num_attempts', 'prev_attempt', 'next_attempt',
+        'parent_job', 'depends_on', 'blocked_by', 'canceled_by', 'paused_at',
+        'pause_requested', 'idempotency_key', 'idempotency_md5', 'lease'
+    ];
+
+    // Create a new attempt of a failed job which runs from the task given as
+    // 'from_task' param, either the task name or its index into the chain
+    // (the first failed task by default). The results of the tasks before it,
+    // and any job property set by them, are given to the new job. When the
+    // 'skip_task' param is true, 'from_task' is skipped too.
+    function rerunJob(req, res, next) {
+        var meta = {};
+        var from = req.params.from_task;
+        var skip = (req.params.skip_task === true ||
+                req.params.skip_task === 'true');
+
+        backend.getJob(req.params.uuid, function (err, job) {
+            var newJob = {};
+            var results;
+            if (err) {
+                return next(err.toRestError);
+            } else if (job.execution !== 'failed') {
+                return next(new restify.ConflictError(
+                  'Only failed jobs can be rerun'));
+            } else if (job.next_attempt) {
+                return next(new restify.ConflictError(
+                  'Job has been already retried by job ' + job.next_attempt));
+            }
+
+            results = job.chain_results || [];
+            if (typeof (from) === 'undefined') {
+                from = results.length;
+                results.some(function (r, i) {
+                    if (r.error) {
+                        from = i;
+                        return true;
+                    }
+                    return false;
+                });
+            } else if (typeof (from) === 'string' && /^\d+$/.test(from)) {
+                from = Number(from);
+            } else if (typeof (from) === 'string') {
+                from = job.chain.map(function (t) {
+                    return t.name;
+                }).indexOf(from);
+            }
+
+            if (typeof (from) !== 'number' || from < 0 ||
+                    Math.round(from) !== from || from >= job.chain.length) {
+                return next(new restify.ConflictError(
+                  'Task "' + (req.params.from_task || from) +
+                  '" does not exist'));
+            } else if (from > results.length) {
+                return next(new restify.ConflictError(
+                  'Cannot rerun from a task which did not run'));
+            }
+
+            // If Request-Id hasn't been set, we'll set it to job UUID:
+            if (!req.headers['request-id']) {
+                res.header('request-id',  req.params.uuid);
+            }
+            meta.req_id = req.id;
+
+            Object.keys(job).forEach(function (p) {
+                if (RERUN_OMITTED_PROPS.indexOf(p) === -1) {
+                    newJob[p] = job[p];
+                }
+            });
+            newJob.workflow = job.workflow_uuid;
+            newJob.num_attempts = (job.num_attempts || 0) + 1;
+            newJob.prev_attempt = job.uuid;
+            newJob.chain_results = results.slice(0, from);
+            if (skip) {
+                newJob.chain_results.push({
+                    result: 'Skipped',
+                    error: '',
+                    name: job.chain[from].name,
+                    started_at: new Date().toISOString(),
+                    finished_at: new Date().toISOString()
+                });
+            }
+
+            return factory.job(newJob, meta, function (err2, result) {
+                if (err2) {
+                    if (typeof (err2) === 'string') {
+                        return next(new restify.ConflictError(err2));
+                    } else {
+                        return next(err2.toRestError);
+                    }
+                }
+                return backend.updateJobProperty(
+                  job.uuid,
+                  'next_attempt',
+                  result.uuid,
+                  meta,
+                  function (err3) {
+                    if (err3) {
+                        return next(new restify.InternalError(err3));
+                    }
+                    log.info('Job %s rerun as job %s', job.uuid,
+                        result.uuid);
+                    res.header('Location', JOBS_PATH + '/' + result.uuid);
+                    res.status(201);
+                    res.send(result);
+                    return next();
+                });
+            });
+        });
+    }
+
+    // Not every backend supports schedules:
+    function schedulesSupported(req, res, next) {
+        if (typeof (backend.getSchedules) !== 'function') {
+            return next(new restify.NotImplementedError(
+              'Backend does not support schedules'));
+        }
+        return next();
+    }
+
+    function listSchedules(req, res, next) {
+        backend.getSchedules(req.params, function (err, schedules) {
+            if (err) {
+                if (err.toRestError) {
+                    return next(err.toRestError);
+                } else {
+                    return next(new restify.InternalError(err));
+                }
+            }
+            res.send(200, schedules);
+            return next();
+        });
+    }
+
+    function postSchedule(req, res, next) {
+        var schedule = {};
+        var members = ['uuid', 'name', 'cron', 'workflow', 'params',
+                       'target', 'catch_up'];
+        var meta = {};
+
+        members.forEach(function (p) {
+            if (typeof (req.params[p]) !== 'undefined') {
+                schedule[p] = req.params[p];
+            }
+        });
+
+        if (req.headers['request-id']) {
+            meta.req_id = req.headers['request-id'];
+        }
+
+        factory.schedule(schedule, meta, function (err, result) {
+            if (err) {
+                if (typeof (err) === 'string') {
+                    return next(new restify.ConflictError(err));
+                } else {
+                    return next(err.toRestError);
+                }
+            }
+            // If Request-Id hasn't been set, we'll set it to schedule UUID:
+            if (!req.headers['request-id']) {
+                res.header('request-id',  result.uuid);
+            }
+            res.header('Location', req.path() + '/' + result.uuid);
+            res.send(201, result);
+            return next();
+        });
+    }
+
+    function getSchedule(req, res, next) {
+        // If Request-Id hasn't been set, we'll set it to schedule UUID:
+        if (!req.headers['request-id']) {
+            res.header('request-id',  req.params.uuid);
+        }
+
+        var meta = {
+            req_id: req.id
+        };
+
+        backend.getSchedule(req.params.uuid, meta, function (err, schedule) {
+            if (err) {
+                return next(err.toRestError);
+            } else {
+                res.send(200, schedule);
+                return next();
+            }
+        });
+    }
+
+    function deleteSchedule(req, res, next) {
+        // If Request-Id hasn't been set, we'll set it to schedule UUID:
+        if (!req.headers['request-id']) {
+            res.header('request-id',  req.params.uuid);
+        }
+
+        var meta = {
+            req_id: req.id
+        };
+
+        backend.getSchedule(req.params.uuid, function (err, schedule) {
+            if (err) {
+                return next(err.toRestError);
+            }
+            return backend.deleteSchedule(schedule, meta,
+              function (err2, deleted) {
+                if (err2) {
+                    return next(new restify.InternalError(err2));
+                }
+
+                if (deleted) {
+                    res.send(204);
+                    return next();
+                } else {
+                    return next(new restify.InternalError(
+                        'Cannot delete the schedule'));
+                }
+            });
+        });
+    }
+
     // --- Routes
     // Workflows:
     server.get(WORKFLOWS_ROUTE, listWorkflows);
@@ -726,6 +1440,9 @@ var API = module.exports = function (opts) {
     server.head(WORKFLOW_ROUTE, getWorkflow);
     server.put(WORKFLOW_ROUTE, updateWorkflow);
     server.del(WORKFLOW_ROUTE, deleteWorkflow);
+    // Workflow versions:
+    server.get(WORKFLOW_VERSIONS_ROUTE, listWorkflowVersions);
+    server.head(WORKFLOW_VERSIONS_ROUTE, listWorkflowVersions);
     // Jobs:
     server.get(JOBS_ROUTE, listJobs);
     server.head(JOBS_ROUTE, listJobs);
@@ -739,12 +1456,32 @@ var API = module.exports = function (opts) {
     server.head(JOB_ROUTE, getJob);
     // Cancel job:
     server.post(JOB_CANCEL_ROUTE, cancelJob);
+    // Pause job:
+    server.post(JOB_PAUSE_ROUTE, pauseJob);
     // Resume job:
     server.post(JOB_RESUME_ROUTE, resumeJob);
+    // Retry job:
+    server.post(JOB_RETRY_ROUTE, retryJob);
+    // Rerun job:
+    server.post(JOB_RERUN_ROUTE, rerunJob);
+    // Job priority:
+    server.put(JOB_PRIORITY_ROUTE, updateJobPriority);
+    // Job exec_after:
+    server.put(JOB_EXEC_AFTER_ROUTE, updateJobExecAfter);
+    // Signal job:
+    server.post(JOB_SIGNAL_ROUTE, signalJob);
     // Job status info:
     server.get(JOB_INFO_ROUTE, getInfo);
     server.head(JOB_INFO_ROUTE, getInfo);
     server.post(JOB_INFO_ROUTE, postInfo);
+    // Schedules:
+    server.get(SCHEDULES_ROUTE, schedulesSupported, listSchedules);
+    server.head(SCHEDULES_ROUTE, schedulesSupported, listSchedules);
+    server.post(SCHEDULES_ROUTE, schedulesSupported, postSchedule);
+    // Schedule:
+    server.get(SCHEDULE_ROUTE, schedulesSupported, getSchedule);
+    server.head(SCHEDULE_ROUTE, schedulesSupported, getSchedule);
+    server.del(SCHEDULE_ROUTE, schedulesSupported, deleteSchedule);
     // Ping:
     server.get(PING_ROUTE, function (req, res, next) {
         var data = {
@@ -8,8 +8,13 @@ var util = require('util'),
     wf_task_runner;
 
 // Every possible situation finishes this way, notifying parent process about
-// execution results:
-function notifyParent(msg) {
+// execution results. Messages about a task carry the identifier given by the
+// parent process with the task, if any, given this same child process may be
+// reused to run several tasks, one after another:
+function notifyParent(msg, id) {
+    if (id !== undefined) {
+        msg.id = id;
+    }
     process.send(msg);
 }
 
@@ -19,20 +24,36 @@ function notifyParent(msg) {
 //
 // Main case:
 // - We receive a message from parent including the 'task' to run and the 'job'
-//   object itself. Optionally, this object may also contain a 'sandbox' object
-//   and 'trace' enabled.
+//   object itself. Optionally, this object may also contain a 'sandbox' object,
+//   'trace' enabled, the 'id' of the task and every how many milliseconds
+//   the parent expects a 'heartbeat' while the task runs.
 // Side case:
 // - We receive a message to finish the task "as is" due to a "finish task now"
 //   call.
 process.on('message', function (msg) {
+    var heartbeat = null;
+
     if (msg.job && msg.task) {
+        if (msg.heartbeat) {
+            heartbeat = setInterval(function () {
+                notifyParent({
+                    heartbeat: true
+                }, msg.id);
+            }, msg.heartbeat);
+        }
         try {
             wf_task_runner = WorkflowTaskRunner(msg);
-            wf_task_runner.runTask(notifyParent);
+            wf_task_runner.runTask(function (res) {
+                if (!res.info) {
+                    clearInterval(heartbeat);
+                }
+                notifyParent(res, msg.id);
+            });
         } catch (e) {
+            clearInterval(heartbeat);
             notifyParent({
                 error: e.message
-            });
+            }, msg.id);
         }
     } else if (msg.cmd && msg.cmd === 'cancel') {
         // Cancel message received from job runner
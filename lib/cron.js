@@ -0,0 +1,198 @@
+// Copyright (c) 2018, Joyent, Inc.
+
+// Minimal cron expressions support for workflow schedules. Expressions have
+// the usual five fields, "minute hour day-of-month month day-of-week", where
+// every field can be "*", a value, a range "a-b", a step "*/n" or "a-b/n",
+// or a comma separated list of those. Month and week day names ("jan",
+// "mon", ...) and the "@yearly", "@monthly", "@weekly", "@daily" and
+// "@hourly" shortcuts are accepted too. Times are always UTC.
+
+var ALIASES = {
+    '@yearly': '0 0 1 1 *',
+    '@annually': '0 0 1 1 *',
+    '@monthly': '0 0 1 * *',
+    '@weekly': '0 0 * * 0',
+    '@daily': '0 0 * * *',
+    '@midnight': '0 0 * * *',
+    '@hourly': '0 * * * *'
+};
+
+var FIELDS = [ {
+    name: 'minute',
+    min: 0,
+    max: 59
+}, {
+    name: 'hour',
+    min: 0,
+    max: 23
+}, {
+    name: 'day of month',
+    min: 1,
+    max: 31
+}, {
+    name: 'month',
+    min: 1,
+    max: 12,
+    names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep',
+        'oct', 'nov', 'dec']
+}, {
+    name: 'day of week',
+    min: 0,
+    // Both 0 and 7 are Sunday:
+    max: 7,
+    names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat']
+}];
+
+// Do not look for a matching time further than this, so expressions which
+// never match, like "0 0 30 2 *", do not loop forever:
+var MAX_YEARS = 5;
+
+
+function parseValue(str, field) {
+    var idx;
+    if (field.names) {
+        idx = field.names.indexOf(str.toLowerCase());
+        if (idx !== -1) {
+            return (field.min === 0) ? idx : idx + 1;
+        }
+    }
+    if (!/^\d+$/.test(str)) {
+        return NaN;
+    }
+    return Number(str);
+}
+
+
+// Returns the sorted list of values allowed by the given field expression.
+function parseField(str, field) {
+    var values = {};
+
+    str.split(',').forEach(function (part) {
+        var m = part.match(/^([^\/]+)(?:\/(\d+))?$/);
+        var first, last, step, i;
+
+        if (!m) {
+            throw new Error('Invalid cron ' + field.name + ' "' + str + '"');
+        }
+
+        step = (m[2] !== undefined) ? Number(m[2]) : 1;
+        if (m[1] === '*') {
+            first = field.min;
+            last = field.max;
+        } else if (m[1].indexOf('-') !== -1) {
+            first = parseValue(m[1].split('-')[0], field);
+            last = parseValue(m[1].split('-')[1], field);
+        } else {
+            first = parseValue(m[1], field);
+            // "5/15" means from 5 to the end, every 15:
+            last = (m[2] !== undefined) ? field.max : first;
+        }
+
+        if (isNaN(first) || isNaN(last) || step < 1 || first > last ||
+                first < field.min || last > field.max) {
+            throw new Error('Invalid cron ' + field.name + ' "' + str + '"');
+        }
+
+        for (i = first; i <= last; i += step) {
+            values[i] = true;
+        }
+    });
+
+    return Object.keys(values).map(Number).sort(function (a, b) {
+        return (a - b);
+    });
+}
+
+
+// Parse a cron expression. Throws an Error when the expression is not valid.
+// Returns an object with the allowed values for every field.
+function parse(expr) {
+    var parts;
+    var cron;
+
+    if (typeof (expr) !== 'string') {
+        throw new Error('Cron expression must be a string');
+    }
+
+    expr = expr.trim();
+    if (ALIASES[expr.toLowerCase()]) {
+        expr = ALIASES[expr.toLowerCase()];
+    }
+
+    parts = expr.split(/\s+/);
+    if (parts.length !== 5) {
+        throw new Error('Cron expression "' + expr + '" must have 5 fields');
+    }
+
+    cron = {
+        minutes: parseField(parts[0], FIELDS[0]),
+        hours: parseField(parts[1], FIELDS[1]),
+        days: parseField(parts[2], FIELDS[2]),
+        months: parseField(parts[3], FIELDS[3]),
+        weekdays: parseField(parts[4], FIELDS[4]).map(function (d) {
+            return (d === 7) ? 0 : d;
+        }),
+        // When both day fields are restricted, a day matching any of them
+        // is fine, like classic cron does:
+        any_day: (parts[2] === '*'),
+        any_weekday: (parts[4] === '*')
+    };
+
+    return cron;
+}
+
+
+function dayMatches(cron, date) {
+    var dom = (cron.days.indexOf(date.getUTCDate()) !== -1);
+    var dow = (cron.weekdays.indexOf(date.getUTCDay()) !== -1);
+
+    if (cron.any_day) {
+        return dow;
+    }
+    if (cron.any_weekday) {
+        return dom;
+    }
+    return (dom || dow);
+}
+
+
+// Get the first time matching the given cron expression (either a string or
+// the object returned by `parse`) strictly after the given date.
+// Returns a Date or null when the expression never matches.
+function next(cron, after) {
+    var date;
+    var limit;
+
+    if (typeof (cron) === 'string') {
+        cron = parse(cron);
+    }
+
+    date = new Date(after ? new Date(after).getTime() : Date.now());
+    date.setUTCSeconds(0, 0);
+    date.setUTCMinutes(date.getUTCMinutes() + 1);
+    limit = date.getUTCFullYear() + MAX_YEARS;
+
+    while (date.getUTCFullYear() <= limit) {
+        if (cron.months.indexOf(date.getUTCMonth() + 1) === -1) {
+            date.setUTCMonth(date.getUTCMonth() + 1, 1);
+            date.setUTCHours(0, 0);
+        } else if (!dayMatches(cron, date)) {
+            date.setUTCDate(date.getUTCDate() + 1);
+            date.setUTCHours(0, 0);
+        } else if (cron.hours.indexOf(date.getUTCHours()) === -1) {
+            date.setUTCHours(date.getUTCHours() + 1, 0);
+        } else if (cron.minutes.indexOf(date.getUTCMinutes()) === -1) {
+            date.setUTCMinutes(date.getUTCMinutes() + 1);
+        } else {
+            return date;
+        }
+    }
+
+    return null;
+}
+
+
+module.exports = {
+    parse: parse,
+    next: next
+};
@@ -3,9 +3,10 @@
 
 var assert = require('assert-plus');
 var util = require('util');
-var fork = require('child_process').fork;
 var vasync = require('vasync');
 var WorkflowTaskRunner = require('./task-runner');
+var WorkerPool = require('./worker-pool');
+var WorkflowFactory = require('./workflow-factory');
 var backoff = require('backoff');
 var clone = require('clone');
 
@@ -58,10 +59,15 @@ var WorkflowJobRunner = module.exports = function (opts) {
     var sandbox = opts.sandbox || {};
     var dtrace = opts.dtrace;
     var do_fork = opts.runner.do_fork;
+    // Child processes to run tasks into, when forking. Runners without a pool
+    // get a new child process for every task:
+    var pool = runner.pool || WorkerPool({log: log});
     var timeout = null;
 
-    // pointer to child process forked by runTask
-    var child = null;
+    // Tasks being executed right now, keyed by an unique identifier, with
+    // the functions to `stop` or `abort` them:
+    var running = {};
+    var execCount = 0;
     // Properties of job object which a task should not be allowed to modify:
     // Properties of job object which a task should not be allowed to modify:
     var frozen_props = [
@@ -70,15 +76,23 @@ var WorkflowJobRunner = module.exports = function (opts) {
         'name', 'execution', 'num_attempts', 'max_attempts', 'initial_delay',
         'max_delay', 'prev_attempt', 'oncancel', 'oncancel_results',
         'workflow', 'created_at', 'started', 'log', 'name', 'runner_id',
-        'locks', 'target'
+        'locks', 'target', 'parent_job', 'child_jobs', 'compensation_results',
+        'signals', 'priority', 'max_concurrency', 'serialize_target',
+        'paused_at', 'recovery', 'lease'
     ];
     // Our job has been canceled while
     // running. If so, we set this to true:
     var canceled = false;
+    // Our job has been paused by an operator while running:
+    var paused = false;
     var failed = false;
     var failedErr = null;
-    // In case we aren't forking tasks:
-    var taskRunner = null;
+    // Child processes running tasks of our job right now, keyed by pid:
+    var children = {};
+    // Timer renewing the job lease, and whether the lease was lost, i.e,
+    // the job was reclaimed by another runner:
+    var lease_timer = null;
+    var lease_lost = false;
 
     if (!util.isDate(job.exec_after)) {
         job.exec_after = new Date(job.exec_after);
@@ -157,19 +171,211 @@ var WorkflowJobRunner = module.exports = function (opts) {
         return attempt.backoff();
     }
 
-    function onChildUp() {
+    function onChildUp(child) {
         if (do_fork && child) {
             child._pid = child.pid;
+            children[child._pid] = true;
             runner.childUp(job.uuid, child._pid);
         }
     }
 
-    function onChildExit() {
+    function onChildExit(child) {
         if (do_fork && child) {
+            delete children[child._pid];
             runner.childDown(job.uuid, child._pid);
         }
     }
 
+    // Jobs get a lease when given by the runner, unless the backend does not
+    // support leases:
+    function leased() {
+        return (runner.lease_duration && job.runner_id &&
+            typeof (backend.renewJobLease) === 'function');
+    }
+
+    // Take or renew the job lease, when the runner gives jobs one, so other
+    // runners do not reclaim the job while we're running it. Once the lease
+    // is lost, the tasks being run are aborted and nothing else is saved.
+    // - callback: f(err). `err` will be 'lease' when the lease was lost.
+    //   Any other error is just logged, the lease will be renewed again.
+    function renewLease(callback) {
+        if (!leased()) {
+            return callback(null);
+        }
+        if (lease_lost) {
+            return callback('lease');
+        }
+        return backend.renewJobLease(job.uuid, job.runner_id,
+            runner.lease_duration, function (err, lease) {
+            if (err && err.name === 'BackendPreconditionFailedError') {
+                log.warn({err: err}, 'Job lease lost');
+                lease_lost = true;
+                stopLease();
+                Object.keys(running).forEach(function (id) {
+                    if (running[id]) {
+                        running[id].abort('Job lease lost');
+                    }
+                });
+                return callback('lease');
+            } else if (err) {
+                log.error({err: err}, 'Error renewing job lease');
+            } else {
+                log.trace({lease: lease}, 'Job lease renewed');
+            }
+            return callback(null);
+        });
+    }
+
+    // Child processes report they are alive this often while running a task
+    // of a leased job, zero meaning they do not need to:
+    function heartbeatInterval() {
+        return (leased() ? Math.ceil(runner.lease_duration / 3) : 0);
+    }
+
+    // Child processes which have not reported anything about their task for
+    // the whole lease duration are stuck, like into an endless loop, and
+    // will not even notice their task timeout:
+    function stuckChildren() {
+        var outdated = Date.now() - runner.lease_duration;
+        return Object.keys(running).some(function (id) {
+            return (running[id].alive_at && running[id].alive_at < outdated);
+        });
+    }
+
+    // Keep renewing the job lease while its child processes are alive and
+    // not stuck (or while running tasks in-process, when not forking). The
+    // lease of a job with stuck child processes expires, so another runner
+    // can reclaim it:
+    function startLease() {
+        if (!leased() || lease_lost) {
+            return;
+        }
+        lease_timer = setInterval(function () {
+            if (do_fork && Object.keys(children).length === 0) {
+                return;
+            }
+            if (do_fork && stuckChildren()) {
+                log.warn('Child process stuck, not renewing job lease');
+                return;
+            }
+            renewLease(function () {});
+        }, heartbeatInterval());
+    }
+
+    function stopLease() {
+        if (lease_timer) {
+            clearInterval(lease_timer);
+            lease_timer = null;
+        }
+    }
+
+
+    // Tell a parent job waiting for the given child job to finish that it can
+    // run again, saving the child job outcome into the parent job's results
+    // for the task which created the child job.
+    // - child: the finished child job.
+    // - callback: f(). Errors are just logged.
+    function resumeParent(child, callback) {
+        return backend.getJob(child.parent_job, function (err, parent) {
+            if (err) {
+                log.error({err: err}, 'Error getting parent job');
+                return callback();
+            }
+
+            var results = parent.chain_results || [];
+            var last = results[results.length - 1];
+            // Parent job may not be waiting yet, in which case it will resume
+            // itself once paused:
+            if (parent.execution !== 'waiting' || !last || !last.child_job ||
+                last.child_execution) {
+                return callback();
+            }
+
+            var child_results = child.chain_results || [];
+            var child_last = child_results[child_results.length - 1] || {};
+
+            last.child_job = child.uuid;
+            last.child_execution = child.execution;
+            if (child.execution === 'succeeded') {
+                last.result = child_last.result || 'OK';
+                last.error = '';
+            } else {
+                last.result = '';
+                last.error = child_last.error ||
+                    util.format('Child job %s %s', child.uuid, child.execution);
+            }
+            last.finished_at = new Date().toISOString();
+
+            if (!util.isArray(parent.child_jobs)) {
+                parent.child_jobs = [];
+            }
+            if (parent.child_jobs.indexOf(child.uuid) === -1) {
+                parent.child_jobs.push(child.uuid);
+            }
+
+            return backend.resumeJob(parent, function (err2) {
+                if (err2) {
+                    log.error({err: err2}, 'Error resuming parent job');
+                } else {
+                    log.info('Job %s resumed by child job %s', parent.uuid,
+                        child.uuid);
+                }
+                return callback();
+            });
+        });
+    }
+
+    // Once paused, check if the job is waiting for a signal which has been
+    // already received and, if that's the case, resume it:
+    function resumeIfSignaled(callback) {
+        var last = job.chain_results[job.chain_results.length - 1];
+        if (!last || !last.signal || last.signal_received_at) {
+            return callback();
+        }
+
+        return backend.getJob(job.uuid, function (err, theJob) {
+            if (err) {
+                log.error({err: err}, 'Error getting job');
+                return callback();
+            }
+
+            if (theJob.execution !== 'waiting' || !theJob.signals ||
+                !theJob.signals.hasOwnProperty(last.signal)) {
+                return callback();
+            }
+
+            return backend.resumeJob(theJob, function (err2) {
+                if (err2) {
+                    log.error({err: err2}, 'Error resuming job');
+                }
+                return callback();
+            });
+        });
+    }
+
+    // Once paused, check if the job is waiting for a child job which has
+    // already finished and, if that's the case, resume it:
+    function resumeIfChildFinished(callback) {
+        var last = job.chain_results[job.chain_results.length - 1];
+        if (!last || !last.child_job || last.child_execution) {
+            return callback();
+        }
+
+        return backend.getJob(last.child_job, function (err, child) {
+            if (err) {
+                log.error({err: err}, 'Error getting child job');
+                return callback();
+            }
+
+            if (child.execution !== 'succeeded' &&
+                child.execution !== 'failed' &&
+                child.execution !== 'canceled') {
+                return callback();
+            }
+
+            return resumeParent(child, callback);
+        });
+    }
 
     function saveJob(callback) {
         job.elapsed = (new Date().getTime() - job.started) / 1000;
@@ -184,6 +390,11 @@ var WorkflowJobRunner = module.exports = function (opts) {
                 if (err) {
                     return callback(err);
                 }
+                if (job.parent_job) {
+                    return resumeParent(job, function () {
+                        return callback(null, job);
+                    });
+                }
                 return callback(null, job);
             });
         } else if (job.execution === 'queued') {
@@ -197,12 +408,25 @@ var WorkflowJobRunner = module.exports = function (opts) {
             });
         } else if (job.execution === 'waiting') {
             log.trace('Pausing job ...');
-            return backend.pauseJob(job, function (err, job) {
-                runner.releaseSlot();
-                if (err) {
-                    return callback(err);
+            // Signals may have been sent while the task was running. Tasks
+            // cannot modify them, so the backend copy is the one to keep:
+            return backend.getJob(job.uuid, function (getErr, current) {
+                if (getErr) {
+                    log.error({err: getErr}, 'Error getting job signals');
+                } else if (current.signals) {
+                    job.signals = current.signals;
                 }
-                return callback(null, job);
+                return backend.pauseJob(job, function (err, theJob) {
+                    runner.releaseSlot();
+                    if (err) {
+                        return callback(err);
+                    }
+                    return resumeIfChildFinished(function () {
+                        return resumeIfSignaled(function () {
+                            return callback(null, theJob);
+                        });
+                    });
+                });
             });
         } else if (job.execution === 'retried') {
             log.trace('Retrying job ...');
@@ -221,35 +445,106 @@ var WorkflowJobRunner = module.exports = function (opts) {
     }
 
     function onEnd(err, callback) {
-        if (!err && failed) {
-            err = failedErr;
-        }
-        if (err) {
-            if (err === 'queue') {
-                job.execution = 'queued';
-            } else if (err === 'cancel') {
-                job.execution = 'canceled';
-            } else if (err === 'retry') {
-                job.execution = 'retried';
-            } else if (err === 'wait') {
-                job.execution = 'waiting';
+        stopLease();
+        // Make sure the job is still ours before saving it:
+        return renewLease(function (leaseErr) {
+            if (leaseErr) {
+                log.warn('Job reclaimed by another runner, not saving it');
+                runner.releaseSlot();
+                return callback('Job lease lost');
+            }
+            if (!err && failed) {
+                err = failedErr;
+            }
+            if (err) {
+                if (err === 'queue') {
+                    job.execution = 'queued';
+                } else if (err === 'cancel') {
+                    job.execution = 'canceled';
+                } else if (err === 'retry') {
+                    job.execution = 'retried';
+                } else if (err === 'wait') {
+                    job.execution = 'waiting';
+                } else {
+                    job.execution = 'failed';
+                }
             } else {
-                job.execution = 'failed';
+                job.execution = 'succeeded';
             }
-        } else {
-            job.execution = 'succeeded';
-        }
-        return saveJob(callback);
+            return saveJob(callback);
+        });
     }
 
-    function runTask(task, chain, cb) {
+    // Execute a single task, either into a forked child process or in-process,
+    // depending on `do_fork`. This takes care of everything but saving the
+    // task results into the job chain results:
+    // - task: the task to execute.
+    // - props: Object, extra properties to set just into the copy of the job
+    //   given to the task, never saved with the job. Optional.
+    // - cb: f(err, res). `err` will be given only when it was not possible to
+    //   execute the task at all. Otherwise, `res` will be the task results,
+    //   including a possible task `error`.
+    // Returns a function to abort the task execution when it's still running,
+    // null otherwise.
+    function execTask(task, props, cb) {
         var task_start = new Date().toISOString();
-        // We may have cancel the job due to runner process exit/restart
-        // If that's the case, do not fork, just return:
-        if (canceled === true && job.execution === 'queued') {
-            return cb('queue');
+        var id = ++execCount;
+        var shouldRun;
+        var taskJob = job;
+
+        if (typeof (props) === 'function') {
+            cb = props;
+            props = {};
         }
 
+        if (Object.keys(props).length) {
+            taskJob = clone(job);
+            Object.keys(props).forEach(function (p) {
+                taskJob[p] = props[p];
+            });
+        }
+
+        // Tasks with a `when` predicate which doesn't hold for the job are
+        // skipped without spawning anything:
+        if (task.when) {
+            try {
+                shouldRun = WorkflowTaskRunner.shouldRun({
+                    task: task,
+                    job: clone(taskJob),
+                    sandbox: sandbox
+                });
+            } catch (e) {
+                log.error({err: e}, 'Error evaluating task "when"');
+                shouldRun = 'Task "when" error: ' +
+                    ((e && e.message) ? e.message : String(e));
+            }
+
+            if (shouldRun !== true) {
+                cb(null, {
+                    result: '',
+                    error: (shouldRun === false) ? '' : shouldRun,
+                    name: task.name || task.uuid,
+                    skipped: (shouldRun === false),
+                    started_at: task_start,
+                    finished_at: new Date().toISOString()
+                });
+                return null;
+            }
+        }
+
+        // Set once the task results have been received, so we will ignore
+        // anything the task may try to send after being aborted:
+        var taskDone = false;
+        // Set when the task is aborted, so its child process will not be
+        // reused to run any other task:
+        var aborted = false;
+        // The child process (or the task runner, when not forking) executing
+        // this task. Child processes may run several tasks, and tell their
+        // messages apart using this identifier:
+        var child = null;
+        var child_msg_id = job.uuid + '/' + id;
+        var taskRunner = null;
+
         if (trace) {
             trace.begin(trace.fields.name + '.' + task.name);
         }
@@ -278,11 +573,37 @@ var WorkflowJobRunner = module.exports = function (opts) {
             return (ret);
         });
 
-        function runTaskCb(msg) {
+        // Stop the task without reporting anything else about it. The child
+        // process running the task is given back to the pool, which will
+        // reuse it only when `reuse` is true.
+        function stop(reuse) {
+            taskDone = true;
+            delete running[id];
+            if (do_fork) {
+                if (child) {
+                    child.removeListener('message', onChildMessage);
+                    child.removeListener('exit', onChildGone);
+                    onChildExit(child);
+                    pool.release(child, reuse === true);
+                }
+            } else if (taskRunner) {
+                // Allow tasks which might go haywire, a chance to know the
+                // task should have been complete.
+                taskRunner.canceled = true;
+                taskRunner.markDone();
+            }
+        }
+
+        function execTaskCb(msg) {
             // Message may contain one of the 'error', 'cmd', or 'info' members,
             // plus 'result'.
             log.trace({message: msg}, 'child process message');
 
+            if (taskDone) {
+                log.trace({message: msg}, 'task already finished, ignoring');
+                return null;
+            }
+
             if (msg.info) {
                 var info = {
                     data: msg.info,
@@ -295,23 +616,10 @@ var WorkflowJobRunner = module.exports = function (opts) {
                 });
             }
 
-            if (do_fork) {
-                // If we don't have msg.info member, it's safe to tell the
-                // child process to exit if it hasn't done yet:
-                if (child && child.exitCode === null) {
-                    child.kill();
-                }
-            } else {
-                // Once we're done, taskRunner should be reset for next task:
-                if (taskRunner) {
-                    // Allow tasks which might go haywire, a chance to know the
-                    // task should have been complete.
-                    taskRunner.markDone();
-                }
-                taskRunner = null;
-            }
+            // Child processes whose task did not finish cleanly may still be
+            // running it, never reuse them:
+            stop(!aborted && !msg.interrupted && msg.cmd !== 'cancel');
 
-            // Save the results into the result chain + backend update.
             var res = {
                 result: msg.result,
                 error: msg.error,
@@ -320,6 +628,20 @@ var WorkflowJobRunner = module.exports = function (opts) {
                 finished_at: new Date().toISOString()
             };
 
+            if (msg.attempts) {
+                res.attempts = msg.attempts;
+            }
+
+            // Task waiting for a named signal, maybe with a timeout in
+            // seconds:
+            if (msg.signal) {
+                res.signal = msg.signal;
+                if (msg.signal_timeout) {
+                    res.signal_expires_at = new Date(Date.now() +
+                        msg.signal_timeout * 1000).toISOString();
+                }
+            }
+
             dtrace.fire('wf-task-done', function tastkProbeDone() {
                 var ret = [
                     res.name,
@@ -340,90 +662,538 @@ var WorkflowJobRunner = module.exports = function (opts) {
             // let's get it
             if (msg.job) {
                 Object.keys(msg.job).forEach(function (p) {
-                    if (frozen_props.indexOf(p) === -1) {
+                    if (frozen_props.indexOf(p) === -1 &&
+                        !props.hasOwnProperty(p)) {
                         job[p] = msg.job[p];
                     }
                 });
             }
 
-            // Prevent backend double JSON encoding issues, just in case:
-            if (!util.isArray(job[chain])) {
-                return cb(util.format('Job chain is not an array of ' +
-                        'results, but has type %s', typeof (job[chain])));
-            } else {
-                job[chain].push(res);
-                return _updateJobProperty(
-                  job.uuid,
-                  chain,
-                  job[chain],
-                  function (err) {
-                    // If we canceled the job and got a reply from the
-                    // running task we want to stop execution ASAP:
-                    if (canceled) {
-                        if (job.execution === 'queued') {
-                            return cb('queue');
-                        } else {
-                            if (chain !== 'oncancel_results') {
-                                return cb('cancel');
-                            } else {
-                                return cb(null, res.result);
-                            }
-                        }
-                    } else {
-                        // Backend error
-                        if (err) {
-                            return cb(err);
-                        } else if (msg.error) {
-                            // Task error
-                            return cb(msg.error);
-                        } else {
-                            // All good:
-                            return cb(null, res.result);
-                        }
-                    }
+            return cb(null, res);
+        }
+
+        running[id] = {
+            stop: stop,
+            // Do not wait for the task to finish, just record it as failed
+            // with the given error and move on:
+            abort: function abort(error) {
+                aborted = true;
+                return execTaskCb({
+                    result: '',
+                    error: error,
+                    cmd: 'cancel',
+                    task_name: task.name || task.uuid
                 });
             }
+        };
+
+        // Ignore messages about the tasks run before by the same child process.
+        // Any message about our task means the child process is alive, and
+        // heartbeats mean nothing else:
+        function onChildMessage(msg) {
+            if (msg.id !== child_msg_id) {
+                log.trace({message: msg}, 'message for another task, ignoring');
+                return null;
+            }
+            if (running[id]) {
+                running[id].alive_at = Date.now();
+            }
+            if (msg.heartbeat) {
+                return null;
+            }
+            return execTaskCb(msg);
+        }
+
+        // A child process gone before sending the task results will never
+        // send them, so the task fails, and the job goes on with its retries
+        // or its "onerror" chain:
+        function onChildGone() {
+            onChildExit(child);
+            return execTaskCb({
+                result: '',
+                error: 'child process exited',
+                interrupted: true,
+                task_name: task.name || task.uuid
+            });
         }
 
         if (do_fork) {
             try {
-                child = fork(__dirname + '/child.js');
+                child = pool.acquire();
             } catch (e) {
                 // If we can't fork, log error and re-queue the job execution
                 log.error(e, 'Error forking child process');
-                return cb('queue');
+                delete running[id];
+                cb('queue');
+                return null;
             }
 
             // Keep withing try/catch block and prevent wf-runner exiting if
             // child exits due to out of memory
             try {
-                onChildUp();
+                onChildUp(child);
                 // Message may contain one of the 'error', 'cmd', or 'info'
                 // members, plus 'result'.
-                child.on('message', runTaskCb);
-
-                child.on('exit', function (code) {
-                    onChildExit();
-                });
+                child.on('message', onChildMessage);
+                child.on('exit', onChildGone);
+                running[id].alive_at = Date.now();
 
-                return child.send({
+                child.send({
+                    id: child_msg_id,
                     task: task,
-                    job: job,
-                    sandbox: sandbox
+                    job: taskJob,
+                    sandbox: sandbox,
+                    heartbeat: heartbeatInterval()
                 });
             } catch (ex) {
                 log.error(ex, 'Error from child process');
-                onChildExit();
-                return cb(ex);
+                stop();
+                cb(ex);
+                return null;
             }
         } else {
             taskRunner = WorkflowTaskRunner({
                 task: task,
-                job: clone(job),
+                job: clone(taskJob),
                 sandbox: sandbox
             });
-            return taskRunner.runTask(runTaskCb);
+            taskRunner.runTask(execTaskCb);
+        }
+
+        return (running[id]) ? running[id].abort : null;
+    }
+
+    // Save the results of a task (or a group of tasks) into the given job
+    // results chain and decide how to proceed with the job execution:
+    function saveResult(res, chain, cb) {
+        // Prevent backend double JSON encoding issues, just in case:
+        if (!util.isArray(job[chain])) {
+            return cb(util.format('Job chain is not an array of ' +
+                    'results, but has type %s', typeof (job[chain])));
+        }
+
+        job[chain].push(res);
+        // Every saved result renews the job lease too:
+        return renewLease(function (leaseErr) {
+            if (leaseErr) {
+                return cb(leaseErr);
+            }
+            return _updateJobProperty(
+              job.uuid,
+              chain,
+              job[chain],
+              function (err) {
+                // If we canceled the job and got a reply from the
+                // running task we want to stop execution ASAP:
+                if (canceled) {
+                    if (job.execution === 'queued') {
+                        return cb('queue');
+                    } else {
+                        if (chain !== 'oncancel_results') {
+                            return cb('cancel');
+                        } else {
+                            return cb(null, res.result);
+                        }
+                    }
+                } else {
+                    // Backend error
+                    if (err) {
+                        return cb(err);
+                    } else if (res.error) {
+                        // Task error
+                        return cb(res.error);
+                    } else {
+                        // All good:
+                        return cb(null, res.result);
+                    }
+                }
+            });
+        });
+    }
+
+    // Check if we should run anything else for the given chain of results
+    // once the job has been canceled. Returns the error to stop execution
+    // with, if any.
+    function canceledError(chain) {
+        // The job has been reclaimed by another runner:
+        if (lease_lost) {
+            return 'lease';
+        }
+        // We may have cancel the job due to runner process exit/restart
+        // If that's the case, do not fork, just return:
+        if (canceled === true && job.execution === 'queued') {
+            return 'queue';
+        }
+        // Or the job may have been canceled between two tasks, in which case
+        // we don't want to run anything but the oncancel chain:
+        if (canceled === true && job.execution === 'canceled' &&
+                chain !== 'oncancel_results') {
+            return 'cancel';
+        }
+        // Or it may have been paused, so we wait right before the next task
+        // of its chain. Failed jobs run their onerror chain anyway:
+        if (paused === true && !failed && chain === 'chain_results') {
+            job.paused_at = new Date().toISOString();
+            // The pause request is done, so the job is not paused again
+            // once resumed:
+            job.pause_requested = false;
+            return 'wait';
+        }
+        return null;
+    }
+
+    function runTask(task, chain, cb) {
+        var cErr = canceledError(chain);
+        if (cErr) {
+            return cb(cErr);
         }
+
+        return execTask(task, function (err, res) {
+            if (err) {
+                return cb(err);
+            }
+            return saveResult(res, chain, cb);
+        });
+    }
+
+    // Find the uuid of the workflow with the given name or uuid:
+    function findWorkflow(name, cb) {
+        return backend.getWorkflows({name: name}, function (err, wfs) {
+            if (err) {
+                return cb(err);
+            }
+            return cb(null, (wfs.length) ? wfs[0].uuid : name);
+        });
+    }
+
+    // Run a task which creates a job from another workflow and put the job to
+    // wait until the child job has finished. The child job gets a copy of the
+    // job params, plus the task params, if any. Once the child job finishes,
+    // the job is resumed with the child job outcome as the task results.
+    function runSubJob(task, chain, cb) {
+        var cErr = canceledError(chain);
+        if (cErr) {
+            return cb(cErr);
+        }
+
+        var task_start = new Date().toISOString();
+        var params = clone(job.params) || {};
+
+        if (task.params && typeof (task.params) === 'string') {
+            try {
+                task.params = JSON.parse(task.params);
+            } catch (e) {
+                delete task.params;
+            }
+        }
+
+        if (task.params) {
+            Object.keys(task.params).forEach(function (p) {
+                params[p] = task.params[p];
+            });
+        }
+
+        function onError(err) {
+            return saveResult({
+                result: '',
+                error: (typeof (err) === 'string') ? err : err.message,
+                name: task.name || task.uuid,
+                started_at: task_start,
+                finished_at: new Date().toISOString()
+            }, chain, cb);
+        }
+
+        return findWorkflow(task.workflow, function (err, wf_uuid) {
+            if (err) {
+                return onError(err);
+            }
+
+            var factory = WorkflowFactory(backend);
+            return factory.job({
+                workflow: wf_uuid,
+                params: params,
+                parent_job: job.uuid,
+                priority: job.priority
+            }, function (err2, child) {
+                if (err2) {
+                    return onError(err2);
+                }
+
+                log.info('Child job %s created', child.uuid);
+
+                if (!util.isArray(job.child_jobs)) {
+                    job.child_jobs = [];
+                }
+                job.child_jobs.push(child.uuid);
+
+                return _updateJobProperty(
+                  job.uuid,
+                  'child_jobs',
+                  job.child_jobs,
+                  function (err3) {
+                    if (err3) {
+                        return cb(err3);
+                    }
+                    // Task results will be updated once the child job has
+                    // finished:
+                    return saveResult({
+                        result: '',
+                        error: 'wait',
+                        name: task.name || task.uuid,
+                        child_job: child.uuid,
+                        started_at: task_start
+                    }, chain, cb);
+                });
+            });
+        });
+    }
+
+    // Run a group of tasks concurrently, each one of them on its own child
+    // process. The whole group is considered successful once the number of
+    // tasks required by the group `join` policy succeeded:
+    // - 'all' (default): every task must succeed.
+    // - 'any': the first task to succeed is enough.
+    // - N (Number): N tasks must succeed.
+    // As soon as the group result is known, any task still running is aborted.
+    // The results for every task in the group are saved into the `parallel`
+    // member of the group's entry in the chain results.
+    function runGroup(group, chain, cb) {
+        var cErr = canceledError(chain);
+        if (cErr) {
+            return cb(cErr);
+        }
+
+        var group_start = new Date().toISOString();
+        var tasks = group.parallel;
+        var results = [];
+        var aborts = [];
+        var pending = tasks.length;
+        var succeeded = 0;
+        var failures = [];
+        var needed;
+        // Once decided, the group error ('' when the group succeeds):
+        var groupError = null;
+        var groupEnded = false;
+
+        if (typeof (group.join) === 'number') {
+            needed = group.join;
+        } else if (group.join === 'any') {
+            needed = 1;
+        } else {
+            needed = tasks.length;
+        }
+
+        if (trace) {
+            trace.begin(trace.fields.name + '.' + group.name);
+        }
+
+        function onGroupEnd() {
+            if (trace) {
+                trace.end(trace.fields.name + '.' + group.name);
+            }
+
+            return saveResult({
+                result: (groupError) ? '' : 'OK',
+                error: groupError,
+                name: group.name || group.uuid,
+                parallel: results,
+                started_at: group_start,
+                finished_at: new Date().toISOString()
+            }, chain, cb);
+        }
+
+        function onTaskEnd(i, err, res) {
+            if (err) {
+                res = {
+                    result: '',
+                    error: (typeof (err) === 'string') ? err : err.message,
+                    name: tasks[i].name || tasks[i].uuid
+                };
+            }
+            results[i] = res;
+            aborts[i] = null;
+            pending -= 1;
+
+            if (groupError === null) {
+                if (res.error) {
+                    failures.push(res.error);
+                } else {
+                    succeeded += 1;
+                }
+
+                if (succeeded >= needed) {
+                    groupError = '';
+                } else if (failures.length > tasks.length - needed) {
+                    groupError = failures[0];
+                }
+
+                // We know the group results, no need to wait for anything
+                // else:
+                if (groupError !== null) {
+                    aborts.forEach(function (abort) {
+                        if (abort) {
+                            abort('aborted');
+                        }
+                    });
+                }
+            }
+
+            if (pending === 0 && !groupEnded) {
+                groupEnded = true;
+                return onGroupEnd();
+            }
+            return null;
+        }
+
+        tasks.forEach(function (task, i) {
+            if (task.modules && typeof (task.modules) === 'string') {
+                try {
+                    task.modules = JSON.parse(task.modules);
+                } catch (e) {
+                    delete task.modules;
+                }
+            }
+            var abort = execTask(task, function (err, res) {
+                return onTaskEnd(i, err, res);
+            });
+            // Unless the task has already finished:
+            if (!results[i]) {
+                aborts[i] = abort;
+            }
+        });
+        return null;
+    }
+
+    // Get the value of the given property path (like 'params.servers') from
+    // the job:
+    function jobPath(path) {
+        return path.replace(/^job\./, '').split('.').reduce(function (o, p) {
+            return (o === null || o === undefined) ? undefined : o[p];
+        }, job);
+    }
+
+    // Run the body of a map task once for every item of the array found at the
+    // task's `map` path into the job, at most `concurrency` items at once.
+    // Every item runs on its own child process, and gets the job with the
+    // item and its position in the array as `job.map_item` and
+    // `job.map_index`. Depending on the task `on_item_error` policy, a failed
+    // item will:
+    // - 'abort' (default): fail the task, without running any pending item.
+    // - 'continue': fail the task, once every item has run.
+    // - 'ignore': not fail the task at all.
+    // The results for every item are saved into the `map` member of the task's
+    // entry in the chain results, in the same order than the array.
+    function runMap(task, chain, cb) {
+        var cErr = canceledError(chain);
+        if (cErr) {
+            return cb(cErr);
+        }
+
+        var map_start = new Date().toISOString();
+        var items = jobPath(task.map);
+        var policy = task.on_item_error || 'abort';
+        var concurrency = task.concurrency || 1;
+        var results = [];
+        var failures = [];
+        var pending;
+        // Set when no other item should be run:
+        var halted = false;
+        var id = ++execCount;
+
+        if (trace) {
+            trace.begin(trace.fields.name + '.' + task.name);
+        }
+
+        function onMapEnd(error) {
+            delete running[id];
+            if (trace) {
+                trace.end(trace.fields.name + '.' + task.name);
+            }
+
+            return saveResult({
+                result: (error) ? '' : 'OK',
+                error: error,
+                name: task.name || task.uuid,
+                map: results,
+                started_at: map_start,
+                finished_at: new Date().toISOString()
+            }, chain, cb);
+        }
+
+        if (!util.isArray(items)) {
+            return onMapEnd(util.format('Task "map" %s is not an array',
+                        task.map));
+        }
+
+        // Items are run through execTask, which takes care of aborting them
+        // on cancelation or timeout. We just need to stop running new ones:
+        running[id] = {
+            stop: function stop() {
+                halted = true;
+                delete running[id];
+            },
+            abort: function abort() {
+                halted = true;
+            }
+        };
+
+        function onItemEnd() {
+            pending -= 1;
+            if (pending > 0) {
+                return null;
+            }
+            if (!running[id]) {
+                // Stopped due to workflow timeout:
+                return null;
+            }
+            return onMapEnd((policy !== 'ignore' && failures.length) ?
+                    failures[0] : '');
+        }
+
+        var queue = vasync.queue(function runItem(i, next) {
+            if (halted || canceledError(chain)) {
+                results[i] = {
+                    result: '',
+                    error: '',
+                    name: task.name || task.uuid,
+                    index: i,
+                    skipped: true
+                };
+                return next();
+            }
+
+            return execTask(task, {
+                map_item: items[i],
+                map_index: i
+            }, function (err, res) {
+                if (err) {
+                    res = {
+                        result: '',
+                        error: (typeof (err) === 'string') ? err : err.message,
+                        name: task.name || task.uuid
+                    };
+                }
+                res.index = i;
+                results[i] = res;
+                if (res.error) {
+                    failures.push(res.error);
+                    if (policy === 'abort') {
+                        halted = true;
+                    }
+                }
+                return next();
+            });
+        }, concurrency);
+
+        pending = items.length;
+        if (!pending) {
+            return onMapEnd('');
+        }
+
+        items.forEach(function (_, i) {
+            queue.push(i, onItemEnd);
+        });
+        return null;
     }
 
     // Run the given chain of tasks
@@ -435,15 +1205,58 @@ var WorkflowJobRunner = module.exports = function (opts) {
     // - callback: f(err)
     function runChain(chain, chain_results, callback) {
         var timeoutId, chain_to_run;
+        var last = job[chain_results][job[chain_results].length - 1];
+
+        // Job resumed while still waiting for a child job, or after a child
+        // job failure:
+        if (last && last.child_job) {
+            if (!last.child_execution) {
+                return onEnd('wait', callback);
+            }
+            if (last.error) {
+                return onError(last.error, callback);
+            }
+        }
+
+        // Job resumed while waiting for a named signal. Move on once received,
+        // or fail when the signal wait timed out:
+        if (last && last.signal && !last.signal_received_at) {
+            if (job.signals && job.signals.hasOwnProperty(last.signal)) {
+                last.error = '';
+                last.signal_received_at = new Date().toISOString();
+                last.finished_at = last.signal_received_at;
+            } else if (last.signal_expires_at &&
+                    new Date(last.signal_expires_at).getTime() <= Date.now()) {
+                last.result = '';
+                last.error = util.format('Signal "%s" timeout', last.signal);
+                last.finished_at = new Date().toISOString();
+            } else {
+                return onEnd('wait', callback);
+            }
+
+            return _updateJobProperty(
+              job.uuid,
+              chain_results,
+              job[chain_results],
+              function (err) {
+                if (err) {
+                    return onEnd('backend error', callback);
+                }
+                if (last.error) {
+                    return onError(last.error, callback);
+                }
+                return runChain(chain, chain_results, callback);
+            });
+        }
 
         if (timeout) {
             timeoutId = setTimeout(function () {
                 // Execution of everything timed out, have to abort running
                 // tasks and run the onerror chain.
                 clearTimeout(timeoutId);
-                if (do_fork && child) {
-                    process.kill(child._pid, 'SIGTERM');
-                }
+                Object.keys(running).forEach(function (id) {
+                    running[id].stop();
+                });
                 // If it's already failed, what it's timing out is the 'onerror'
                 // chain. We don't wanna run it again.
                 if (!failed) {
@@ -501,6 +1314,22 @@ var WorkflowJobRunner = module.exports = function (opts) {
                         delete task.modules;
                     }
                 }
+                if (task.workflow) {
+                    return runSubJob(task, chain_results, cb);
+                }
+                if (task.map) {
+                    return runMap(task, chain_results, cb);
+                }
+                if (task.parallel) {
+                    if (typeof (task.parallel) === 'string') {
+                        try {
+                            task.parallel = JSON.parse(task.parallel);
+                        } catch (e) {
+                            return cb('Task "parallel" must be an array');
+                        }
+                    }
+                    return runGroup(task, chain_results, cb);
+                }
                 return runTask(task, chain_results, cb);
             });
         });
@@ -514,7 +1343,14 @@ var WorkflowJobRunner = module.exports = function (opts) {
                 clearTimeout(timeoutId);
             }
 
-            if (err) {
+            if (chain_results === 'oncancel_results') {
+                // Whatever happened running the oncancel chain, the job
+                // remains canceled:
+                if (err) {
+                    log.error({err: err}, 'Error running oncancel chain');
+                }
+                return onEnd('cancel', callback);
+            } else if (err) {
                 // If we are cancelating job, we want to avoid running
                 // "onerror" branch
                 if (err === 'cancel') {
@@ -539,22 +1375,129 @@ var WorkflowJobRunner = module.exports = function (opts) {
         canceled = true;
         if (job.oncancel && util.isArray(job.oncancel)) {
             log.trace('Running oncancel');
-            return runChain(
-                job.oncancel, 'oncancel_results', function (err) {
-                    if (err) {
-                        log.error({err: err}, 'Error running oncancel chain');
-                    }
-                    return onEnd('cancel', callback);
-                });
+            return runChain(job.oncancel, 'oncancel_results', callback);
         } else {
             return onEnd('cancel', callback);
         }
     }
 
 
+    // Once the job chain failed, run the `compensate` function of every task
+    // which already succeeded, in reverse order, saving the results into
+    // `job.compensation_results`. For groups and map tasks, every task or item
+    // which succeeded is compensated, even when the whole group or map task
+    // failed. A failed compensation doesn't prevent running the others.
+    // - callback: f(). Errors are just logged.
+    function compensate(callback) {
+        var steps = [];
+
+        function addStep(task, props) {
+            if (!task.compensate) {
+                return;
+            }
+            if (task.modules && typeof (task.modules) === 'string') {
+                try {
+                    task.modules = JSON.parse(task.modules);
+                } catch (e) {
+                    delete task.modules;
+                }
+            }
+            steps.push({
+                task: {
+                    uuid: task.uuid,
+                    name: task.name || task.uuid,
+                    body: task.compensate,
+                    timeout: task.timeout,
+                    modules: task.modules
+                },
+                props: props || {}
+            });
+        }
+
+        job.chain_results.forEach(function (res, i) {
+            var task = job.chain[i];
+            var items;
+            if (!task || !res || res.skipped) {
+                return;
+            }
+
+            if (task.parallel) {
+                if (typeof (task.parallel) === 'string') {
+                    try {
+                        task.parallel = JSON.parse(task.parallel);
+                    } catch (e) {
+                        return;
+                    }
+                }
+                task.parallel.forEach(function (member, j) {
+                    var r = (res.parallel || [])[j];
+                    if (r && !r.error && !r.skipped) {
+                        addStep(member);
+                    }
+                });
+            } else if (task.map) {
+                items = jobPath(task.map);
+                (res.map || []).forEach(function (r, j) {
+                    if (r && !r.error && !r.skipped && util.isArray(items)) {
+                        addStep(task, {map_item: items[j], map_index: j});
+                    }
+                });
+            } else if (!res.error) {
+                addStep(task);
+            }
+        });
+
+        if (!steps.length) {
+            return callback();
+        }
+
+        if (!util.isArray(job.compensation_results)) {
+            job.compensation_results = [];
+        }
+
+        log.trace('Running compensations');
+        return vasync.forEachPipeline({
+            inputs: steps.reverse(),
+            func: function runCompensation(step, next) {
+                execTask(step.task, step.props, function (err, res) {
+                    if (err) {
+                        res = {
+                            result: '',
+                            error: (typeof (err) === 'string') ?
+                                err : err.message,
+                            name: step.task.name
+                        };
+                    }
+                    if (typeof (step.props.map_index) !== 'undefined') {
+                        res.index = step.props.map_index;
+                    }
+                    if (res.error) {
+                        log.error({error: res.error}, 'Compensation failed');
+                    }
+                    job.compensation_results.push(res);
+                    return _updateJobProperty(
+                        job.uuid,
+                        'compensation_results',
+                        job.compensation_results,
+                        function (err2) {
+                            if (err2) {
+                                log.error({err: err2},
+                                    'Error saving compensation results');
+                            }
+                            return next();
+                        });
+                });
+            }
+        }, function () {
+            return callback();
+        });
+    }
+
+
     function onError(err, callback) {
         // We're already running the onerror chain, do not retry again!
-        if (failed) {
+        // Neither run anything else once the job has been reclaimed:
+        if (failed || lease_lost) {
             return onEnd(err, callback);
         } else {
             if (err === 'queued') {
@@ -566,12 +1509,14 @@ var WorkflowJobRunner = module.exports = function (opts) {
             } else {
                 failed = true;
                 failedErr = err;
-                if (job.onerror && util.isArray(job.onerror)) {
-                    return runChain(
-                        job.onerror, 'onerror_results', callback);
-                } else {
-                    return onEnd(err, callback);
-                }
+                return compensate(function () {
+                    if (job.onerror && util.isArray(job.onerror)) {
+                        return runChain(
+                            job.onerror, 'onerror_results', callback);
+                    } else {
+                        return onEnd(err, callback);
+                    }
+                });
             }
         }
     }
@@ -580,23 +1525,38 @@ var WorkflowJobRunner = module.exports = function (opts) {
     return ({
         timeout: timeout,
 
+        // Cancel the job execution. When `execution` is 'canceled' the task
+        // currently running is aborted right away, and the oncancel chain is
+        // run, if any. When it's 'queued', the current task is allowed to
+        // finish and the job is re-queued right after.
         cancel: function cancel(execution, callback) {
+            if (canceled && job.execution === execution) {
+                return callback();
+            }
             canceled = true;
             if (execution === 'canceled') {
-                if (do_fork && child) {
-                    child.send({
-                        cmd: 'cancel'
-                    });
-                } else if (taskRunner) {
-                    taskRunner.canceled = true;
-                }
                 job.execution = 'canceled';
+                Object.keys(running).forEach(function (id) {
+                    if (running[id]) {
+                        running[id].abort('cancel');
+                    }
+                });
             } else if (execution === 'queued') {
                 job.execution = 'queued';
             }
             return callback();
         },
 
+        // Pause the job execution once the task currently running finishes,
+        // before running the next one. The job is left waiting, with the
+        // time it was paused as `paused_at`, until it's resumed.
+        pause: function pause() {
+            if (!paused) {
+                log.info('Job will be paused');
+                paused = true;
+            }
+        },
+
         saveJob: saveJob,
 
         onChildUp: onChildUp,
@@ -609,6 +1569,10 @@ var WorkflowJobRunner = module.exports = function (opts) {
 
         runTask: runTask,
 
+        runGroup: runGroup,
+
+        runMap: runMap,
+
         runChain: runChain,
         // Run the workflow within a timeout which, in turn, will call tasks in
         // chain within their respective timeouts when given:
@@ -618,7 +1582,12 @@ var WorkflowJobRunner = module.exports = function (opts) {
             runner.getSlot();
             // Keep track of time:
             job.started = new Date().getTime();
-            runChain(job.chain, 'chain_results', callback);
+            renewLease(function (err) {
+                if (!err) {
+                    startLease();
+                }
+                runChain(job.chain, 'chain_results', callback);
+            });
         }
 
     });
@@ -8,18 +8,45 @@ var fs = require('fs');
 var path = require('path');
 var vasync = require('vasync');
 var bunyan = require('bunyan');
+var clone = require('clone');
+var cron = require('./cron');
 var WorkflowJobRunner = require('./job-runner');
+var WorkerPool = require('./worker-pool');
 var Factory = require('../lib/index').Factory;
 var exists = fs.exists || path.exists;
 var trace_event = require('trace-event');
 var createMetricsManager = require('triton-metrics').createMetricsManager;
 var restify = require('restify');
 
+// A schedule run counts as missed when its job has not been queued after
+// this many milliseconds (cron expressions have a one minute resolution):
+var SCHEDULE_MISSED_AFTER = 60000;
+
+// Looking for waiting jobs whose wait for a signal timed out means going
+// through every waiting job, so the leader does it only every this many
+// milliseconds, instead of on every poll:
+var SIGNAL_TIMEOUTS_INTERVAL = 1000;
+
 // - opts - configuration options:
 //    - identifier: Unique identifier for this runner.
 //    - forks: Max number of child processes to fork at the same time.
+//    - pool_size: Max number of idle child processes kept around to run the
+//                 next tasks, instead of forking a new child process for every
+//                 task. (By default, zero: no child processes are reused).
+//    - max_tasks_per_worker: Max number of tasks a child process will run
+//                            before being replaced. (By default, no limit).
+//    - worker_idle_timeout: Milliseconds an idle child process will be kept
+//                           before being replaced. (By default, 60000).
 //    - run_interval: Check for new jobs every 'run_interval' milliseconds.
 //                    (By default, every 250 milliseconds).
+//    - max_run_interval: While there is nothing to do, the time between checks
+//                        doubles up to 'max_run_interval' milliseconds.
+//                        (By default, 4 times the 'run_interval').
+//    - queues: Array with the names of the queues to take jobs from.
+//              (By default, only the 'default' queue).
+//    - lease_duration: Milliseconds a job lease lasts unless renewed. Once
+//                      expired, any runner may reclaim the job. (By default,
+//                      10 times the 'activity_interval').
 //    - sandbox: Collection of node modules to pass to the sandboxed tasks
 //               execution. Object with the form:
 //               {
@@ -48,21 +75,56 @@ var WorkflowRunner = module.exports = function (opts) {
         opts.runner.run_interval = 250;
     }
 
+    if (typeof (opts.runner.max_run_interval) !== 'number' ||
+        opts.runner.max_run_interval < opts.runner.run_interval) {
+        opts.runner.max_run_interval = opts.runner.run_interval * 4;
+    }
+
     if (typeof (opts.runner.activity_interval) !== 'number') {
         opts.runner.activity_interval = opts.runner.run_interval;
     }
 
+    if (typeof (opts.runner.lease_duration) !== 'number' ||
+        opts.runner.lease_duration <= 0) {
+        opts.runner.lease_duration = opts.runner.activity_interval * 10;
+    }
+
+    if (!Array.isArray(opts.runner.queues) ||
+        opts.runner.queues.length === 0) {
+        opts.runner.queues = ['default'];
+    }
+
     if (typeof (opts.runner.do_fork) === 'undefined') {
         opts.runner.do_fork = true;
     }
 
+    if (typeof (opts.runner.pool_size) !== 'number' ||
+        opts.runner.pool_size < 0) {
+        opts.runner.pool_size = 0;
+    } else {
+        opts.runner.pool_size = Math.round(opts.runner.pool_size);
+    }
+
+    if (typeof (opts.runner.max_tasks_per_worker) !== 'number' ||
+        opts.runner.max_tasks_per_worker < 0) {
+        opts.runner.max_tasks_per_worker = 0;
+    }
+
+    if (typeof (opts.runner.worker_idle_timeout) !== 'number' ||
+        opts.runner.worker_idle_timeout < 0) {
+        opts.runner.worker_idle_timeout = 60000;
+    }
+
     var Backend = require(opts.backend.module);
     var identifier = opts.runner.identifier || null;
     var forks = opts.runner.forks;
     var run_interval = opts.runner.run_interval;
+    var max_run_interval = opts.runner.max_run_interval;
+    var queues = opts.runner.queues;
     var interval = null;
     var activity_interval = opts.runner.activity_interval;
     var ainterval = null;
+    var lease_duration = opts.runner.lease_duration;
     var shutting_down = false;
     var child_processes = {};
     var sandbox = opts.runner.sandbox || {};
@@ -70,6 +132,10 @@ var WorkflowRunner = module.exports = function (opts) {
     var do_fork = opts.runner.do_fork;
     var rn_jobs = [];
     var job_runners = {};
+    // Listener for the backend 'job:queued' events, while running:
+    var queued_listener = null;
+    // Last time we looked for waiting jobs whose signal wait timed out:
+    var signal_timeouts_checked_at = 0;
     var dtrace = opts.dtrace;
     var log;
     if (opts.log) {
@@ -221,6 +287,19 @@ var WorkflowRunner = module.exports = function (opts) {
     opts.backend.log = log;
     var backend = Backend(opts.backend.opts);
 
+    if (backend.nextJobs.length < 4 &&
+        (queues.length !== 1 || queues[0] !== 'default')) {
+        log.warn({queues: queues},
+            'Backend does not support queues, taking jobs from any queue');
+    }
+
+    // Child processes used to run tasks, when forking:
+    var pool = WorkerPool({
+        size: opts.runner.pool_size,
+        max_tasks: opts.runner.max_tasks_per_worker,
+        idle_timeout: opts.runner.worker_idle_timeout,
+        log: log
+    });
 
     function getIdentifier(callback) {
         var cfg_file = path.resolve(__dirname, '../workflow-indentifier');
@@ -318,22 +397,31 @@ var WorkflowRunner = module.exports = function (opts) {
         });
         // 2) On init, the runner will check for any job flagged as running with
         //    the runner identifier. This means a previous failure so, first
-        //    thing will be take care of such failure.
+        //    thing will be take care of such failure, either queueing the
+        //    jobs again or canceling them, depending on their recovery policy.
         series.push(function getRunnerJobs(_, cb) {
             backend.getRunnerJobs(identifier, function (err, jobs) {
-                function markAsCanceled(uuid, next_cb) {
-                    backend.cancelJob(uuid, function (err) {
+                function recoverOrCancel(uuid, next_cb) {
+                    recoverJob(uuid, 'runner restart', function (err, action) {
                         if (err) {
                             return next_cb(err);
                         }
-                        return next_cb(null);
+                        if (action === 'requeue') {
+                            return next_cb(null);
+                        }
+                        return backend.cancelJob(uuid, function (err) {
+                            if (err) {
+                                return next_cb(err);
+                            }
+                            return next_cb(null);
+                        });
                     });
                 }
                 if (err) {
                     return cb(err);
                 } else {
                     return vasync.forEachParallel({
-                        func: markAsCanceled,
+                        func: recoverOrCancel,
                         inputs: jobs
                     }, function (err, results) {
                         if (err) {
@@ -361,12 +449,22 @@ var WorkflowRunner = module.exports = function (opts) {
         });
     }
 
+    // Stop waking up on the backend 'job:queued' events:
+    function stopListening() {
+        if (queued_listener) {
+            backend.removeListener('job:queued', queued_listener);
+            queued_listener = null;
+        }
+    }
+
     // Wait for children to finish, do not began any other child process.
     // Call callback on done.
     function quit(callback) {
         shutting_down = true;
         clearTimeout(interval);
         clearTimeout(ainterval);
+        stopListening();
+        pool.close();
         if (rn_jobs.length > 0) {
             rn_jobs.forEach(function (j) {
                 job_runners[j].cancel('queued', function (err) {
@@ -420,6 +518,8 @@ var WorkflowRunner = module.exports = function (opts) {
         shutting_down = true;
         clearTimeout(interval);
         clearTimeout(ainterval);
+        stopListening();
+        pool.close();
         if (do_fork && childCount() > 0) {
             Object.keys(child_processes).forEach(function (p) {
                 process.kill(p, 'SIGKILL');
@@ -491,6 +591,417 @@ var WorkflowRunner = module.exports = function (opts) {
         });
     }
 
+    // Check for running jobs whose lease expired, i.e, the runner running
+    // them stopped renewing it, either because it's gone or because it got
+    // stuck with the job. Any runner may reclaim these jobs.
+    // - callback(err, jobs): `err` means backend error.
+    //   `jobs` will be an array of jobs UUIDs, even empty.
+    function expiredLeaseJobs(callback) {
+        // Backends without leases support:
+        if (typeof (backend.getExpiredLeaseJobs) !== 'function') {
+            return callback(null, []);
+        }
+        return backend.getExpiredLeaseJobs(function (err, jobs) {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, jobs);
+        });
+    }
+
+    // Decide what to do with a job whose runner died or restarted while
+    // running it, according to the workflow `recovery` policy. Returns either
+    // 'requeue' or 'cancel'. Jobs with failed tasks are always canceled, and
+    // so are the jobs with 'requeue-if-idempotent' policy unless the first
+    // task without results is idempotent.
+    function recoveryAction(job) {
+        var results = job.chain_results || [];
+        var next_task;
+
+        if (job.execution !== 'running' || results.some(function (r) {
+            return (r.error !== '' && typeof (r.error) !== 'undefined');
+        })) {
+            return 'cancel';
+        }
+
+        if (job.recovery === 'requeue') {
+            return 'requeue';
+        }
+
+        if (job.recovery === 'requeue-if-idempotent') {
+            next_task = job.chain[results.length];
+            if (!next_task || next_task.idempotent === true) {
+                return 'requeue';
+            }
+        }
+
+        return 'cancel';
+    }
+
+    // Recover a job left running by a dead or restarted runner. The job is
+    // queued again when its workflow `recovery` policy allows it, resuming
+    // from the first task without results, and the decision is added to the
+    // job info.
+    // - uuid - String, the job UUID.
+    // - reason - String, why the job is being recovered.
+    // - callback(err, action): `action` is either 'requeue' or 'cancel'. Jobs
+    //   are not canceled here, but left to the caller.
+    function recoverJob(uuid, reason, callback) {
+        backend.getJob(uuid, function (err, job) {
+            if (err) {
+                return callback(err);
+            }
+            var action = recoveryAction(job);
+            var info = {
+                data: {
+                    recovery: action,
+                    reason: reason,
+                    runner_id: job.runner_id
+                },
+                date: new Date().toISOString()
+            };
+
+            return backend.addInfo(uuid, info, function (err) {
+                if (err) {
+                    return callback(err);
+                }
+                log.info({job_uuid: uuid, reason: reason},
+                    'Recovering job: ' + action);
+                if (action !== 'requeue') {
+                    return callback(null, action);
+                }
+                // Get the job again, so the info we've just added is kept:
+                return backend.getJob(uuid, function (err, job) {
+                    if (err) {
+                        return callback(err);
+                    }
+                    return backend.queueJob(job, function (err) {
+                        if (err) {
+                            return callback(err);
+                        }
+                        return callback(null, action);
+                    });
+                });
+            });
+        });
+    }
+
+    // Reclaim a job from a runner which is gone or got stuck with it. The job
+    // is either queued again or canceled, depending on its recovery policy.
+    // - uuid - String, the job UUID.
+    // - reason - String, why the job is being reclaimed.
+    // - callback(err): `err` means backend error.
+    function reclaimJob(uuid, reason, callback) {
+        recoverJob(uuid, reason, function (err, action) {
+            if (err) {
+                return callback(err);
+            }
+            if (action === 'requeue') {
+                log.info('Stale Job ' + uuid + ' queued again');
+                return callback(null);
+            }
+            return backend.updateJobProperty(uuid, 'execution', 'canceled',
+                function (err2) {
+                if (err2) {
+                    return callback(err2);
+                }
+                return backend.getJob(uuid, function (err3, job) {
+                    if (err3) {
+                        return callback(err3);
+                    }
+                    return backend.finishJob(job, function (err4) {
+                        if (err4) {
+                            return callback(err4);
+                        }
+                        log.info('Stale Job ' + uuid + ' canceled');
+                        return callback(null);
+                    });
+                });
+            });
+        });
+    }
+
+    // Check for jobs being run by this runner which have been canceled
+    // through the API (or by any other means) while running.
+    // - callback(err, jobs): `err` means backend error.
+    //   `jobs` will be an array of jobs UUIDs, even empty.
+    function canceledJobs(callback) {
+        var cJobs = [];
+
+        function isCanceled(uuid, cb) {
+            backend.getJobProperty(uuid, 'execution', function (err, val) {
+                if (err) {
+                    return cb(err);
+                }
+                if (val === 'canceled') {
+                    cJobs.push(uuid);
+                }
+                return cb(null, val);
+            });
+        }
+
+        var running = Object.keys(job_runners);
+        if (running.length === 0) {
+            return callback(null, []);
+        }
+
+        return vasync.forEachParallel({
+            inputs: running,
+            func: isCanceled
+        }, function (err, results) {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, cJobs);
+        });
+    }
+
+    // Check for jobs being run by this runner which an operator requested to
+    // pause through the API while running.
+    // - callback(err, jobs): `err` means backend error.
+    //   `jobs` will be an array of jobs UUIDs, even empty.
+    function pauseRequestedJobs(callback) {
+        var pJobs = [];
+
+        function isPauseRequested(uuid, cb) {
+            backend.getJobProperty(uuid, 'pause_requested',
+                function (err, val) {
+                if (err) {
+                    return cb(err);
+                }
+                if (val === true) {
+                    pJobs.push(uuid);
+                }
+                return cb(null, val);
+            });
+        }
+
+        var running = Object.keys(job_runners);
+        if (running.length === 0) {
+            return callback(null, []);
+        }
+
+        return vasync.forEachParallel({
+            inputs: running,
+            func: isPauseRequested
+        }, function (err, results) {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, pJobs);
+        });
+    }
+
+    // Check for waiting jobs whose wait for a named signal has timed out.
+    // - callback(err, jobs): `err` means backend error.
+    //   `jobs` will be an array of jobs, even empty, so they can be resumed
+    //   and failed by a runner.
+    function expiredWaitingJobs(callback) {
+        return backend.getJobs({execution: 'waiting'}, function (err, jobs) {
+            if (err) {
+                return callback(err);
+            }
+            return callback(null, jobs.filter(function (job) {
+                var results = job.chain_results || [];
+                var last = results[results.length - 1];
+                return (last && last.signal && !last.signal_received_at &&
+                    last.signal_expires_at &&
+                    new Date(last.signal_expires_at).getTime() <= Date.now());
+            }));
+        });
+    }
+
+    // When this runner is the leader, and no check has been done recently,
+    // queue the waiting jobs whose wait for a signal has timed out, so they
+    // are failed.
+    // - callback - f(err, jobs): `err` always means backend error.
+    //   `jobs` will be an array of the resumed jobs UUIDs, even empty.
+    function resumeExpiredJobs(callback) {
+        var resumed = [];
+
+        if (Date.now() - signal_timeouts_checked_at <
+                SIGNAL_TIMEOUTS_INTERVAL) {
+            return callback(null, resumed);
+        }
+        signal_timeouts_checked_at = Date.now();
+
+        return isLeader(function (err, leader) {
+            if (err) {
+                return callback(err);
+            }
+            if (!leader) {
+                return callback(null, resumed);
+            }
+            return expiredWaitingJobs(function (err2, jobs) {
+                if (err2) {
+                    return callback(err2);
+                }
+                return vasync.forEachPipeline({
+                    inputs: jobs,
+                    func: function (job, next) {
+                        backend.resumeJob(job, function (err3) {
+                            // Leaders may overlap while runners come and go:
+                            if (err3) {
+                                log.debug({err: err3}, 'Error resuming job');
+                            } else {
+                                resumed.push(job.uuid);
+                            }
+                            return next(null);
+                        });
+                    }
+                }, function () {
+                    return callback(null, resumed);
+                });
+            });
+        });
+    }
+
+    // The leader is the active runner with the lowest identifier. Only the
+    // leader queues the jobs of the schedules, so they are never queued twice.
+    // - callback - f(err, leader): `err` always means backend error.
+    //   `leader` is a boolean.
+    function isLeader(callback) {
+        return backend.getRunners(function (err, runners) {
+            if (err) {
+                return callback(err);
+            }
+            var outdated = new Date().getTime() - (activity_interval * 10);
+            var active = Object.keys(runners).filter(function (id) {
+                return (id === identifier ||
+                    new Date(runners[id]).getTime() >= outdated);
+            }).sort();
+            return callback(null, active[0] === identifier);
+        });
+    }
+
+    // Get every run of the given schedule due up to `now` (milliseconds),
+    // oldest first, as Date objects.
+    function dueRuns(schedule, now) {
+        var expr = cron.parse(schedule.cron);
+        var runs = [];
+        var run = new Date(schedule.next_run_at);
+
+        while (run && run.getTime() <= now) {
+            runs.push(run);
+            run = cron.next(expr, run);
+        }
+        return runs;
+    }
+
+    // When this runner is the leader, queue the jobs of every due schedule,
+    // handling the runs missed while no runner was queueing them according
+    // to the schedule catch up policy. Backends without schedules support
+    // have nothing to queue.
+    // - callback - f(err, jobs): `err` always means backend error.
+    //   `jobs` will be an array of the queued jobs UUIDs, even empty.
+    function runSchedules(callback) {
+        var now = Date.now();
+        var queued = [];
+        var factory;
+
+        if (typeof (backend.getSchedules) !== 'function' ||
+            typeof (backend.updateSchedule) !== 'function') {
+            return callback(null, queued);
+        }
+        factory = Factory(backend);
+
+        function queueJob(schedule, run, cb) {
+            return factory.job({
+                workflow: schedule.workflow,
+                params: clone(schedule.params || {}),
+                target: schedule.target,
+                exec_after: run.toISOString(),
+                schedule_uuid: schedule.uuid
+            }, function (err, job) {
+                // A failure queueing a job must not stop the schedule:
+                if (err) {
+                    log.error({err: err, schedule: schedule.uuid},
+                        'Error queueing scheduled job');
+                } else {
+                    queued.push(job.uuid);
+                }
+                return cb(null);
+            });
+        }
+
+        function runSchedule(schedule, cb) {
+            var runs = dueRuns(schedule, now);
+            var toRun;
+            var next;
+
+            if (schedule.catch_up === 'all') {
+                toRun = runs;
+            } else if (schedule.catch_up === 'skip') {
+                toRun = runs.filter(function (run) {
+                    return (now - run.getTime() < SCHEDULE_MISSED_AFTER);
+                });
+            } else {
+                toRun = runs.slice(-1);
+            }
+
+            if (runs.length > toRun.length) {
+                log.info({schedule: schedule.uuid},
+                    'Skipping %d missed runs of schedule',
+                    runs.length - toRun.length);
+            }
+
+            next = cron.next(schedule.cron, now);
+            schedule.last_run_at = runs[runs.length - 1].toISOString();
+            schedule.next_run_at = next ? next.toISOString() : null;
+
+            // Move the schedule forward first, so a failure does not queue
+            // the same runs again:
+            return backend.updateSchedule(schedule, function (err) {
+                if (err) {
+                    return cb(err);
+                }
+                return vasync.forEachPipeline({
+                    inputs: toRun,
+                    func: function (run, next_cb) {
+                        return queueJob(schedule, run, next_cb);
+                    }
+                }, cb);
+            });
+        }
+
+        return isLeader(function (err, leader) {
+            if (err) {
+                return callback(err);
+            }
+            if (!leader) {
+                return callback(null, queued);
+            }
+            return backend.getSchedules(function (err2, schedules) {
+                if (err2) {
+                    return callback(err2);
+                }
+                var due = schedules.filter(function (schedule) {
+                    return (schedule.next_run_at &&
+                        new Date(schedule.next_run_at).getTime() <= now);
+                });
+                return vasync.forEachPipeline({
+                    inputs: due,
+                    func: runSchedule
+                }, function (err3) {
+                    if (err3) {
+                        return callback(err3);
+                    }
+                    return callback(null, queued);
+                });
+            });
+        });
+    }
+
+    // Get the uuids of the next queued jobs to run, up to the `stop` position.
+    // Backends whose `nextJobs` does not take a `queues` argument return jobs
+    // from any queue:
+    function nextJobs(stop, callback) {
+        if (backend.nextJobs.length < 4) {
+            return backend.nextJobs(0, stop, callback);
+        }
+        return backend.nextJobs(0, stop, queues, callback);
+    }
+
     function getSlot() {
         if (slots === 0) {
             return false;
@@ -520,6 +1031,9 @@ var WorkflowRunner = module.exports = function (opts) {
         log: log,
         shutting_down: shutting_down,
         do_fork: do_fork,
+        pool: pool,
+        queues: queues,
+        lease_duration: lease_duration,
         getIdentifier: getIdentifier,
         runNow: runNow,
         nextRun: nextRun,
@@ -529,6 +1043,14 @@ var WorkflowRunner = module.exports = function (opts) {
         childCount: childCount,
         inactiveRunners: inactiveRunners,
         staleJobs: staleJobs,
+        expiredLeaseJobs: expiredLeaseJobs,
+        recoverJob: recoverJob,
+        canceledJobs: canceledJobs,
+        pauseRequestedJobs: pauseRequestedJobs,
+        expiredWaitingJobs: expiredWaitingJobs,
+        resumeExpiredJobs: resumeExpiredJobs,
+        isLeader: isLeader,
+        runSchedules: runSchedules,
         getSlot: getSlot,
         releaseSlot: releaseSlot
     };
@@ -556,45 +1078,11 @@ var WorkflowRunner = module.exports = function (opts) {
     function run() {
         shutting_down = false;
         function retryJob(oldJob, callback) {
-            if (oldJob.num_attempts + 1 >= oldJob.max_attempts) {
-                return callback(
-                  'Max attempts reached. Last attempt: ' + oldJob.uuid);
-            }
-
-            var retryParams = {
-                workflow: oldJob.workflow_uuid,
-                params: oldJob.params,
-                target: oldJob.target,
-                num_attempts: oldJob.num_attempts + 1,
-                exec_after: nextRun(oldJob)
-            };
-
             var factory = Factory(backend);
-            return factory.job(retryParams, function (err, newJob) {
-                if (err) {
-                    return callback(err);
-                }
-                // Update the old job with the next job's uuid and update the
-                // new job with the old job's uuid.
-                return backend.updateJobProperty(
-                    oldJob.uuid,
-                    'next_attempt',
-                    newJob.uuid,
-                    function (err) {
-                        if (err) {
-                            return callback(err);
-                        }
-                        return backend.updateJobProperty(
-                            newJob.uuid,
-                            'prev_attempt',
-                            oldJob.uuid,
-                            function (err) {
-                                if (err) {
-                                    return callback(err);
-                                }
-                                return callback();
-                            });
-                    });
+            return factory.retry(oldJob, {
+                exec_after: nextRun(oldJob)
+            }, function (err) {
+                return callback(err);
             });
         }
 
@@ -613,12 +1101,15 @@ var WorkflowRunner = module.exports = function (opts) {
                 if (runNow(job)) {
                     var job_log = log.child({ job_uuid: job.uuid,
                         req_id: job.params['x-request-id'] });
+                    // Drop trailing '-$version' from names of workflows
+                    // without versions support:
+                    var job_name = (job.workflow_version ||
+                        job.name.lastIndexOf('-') === -1) ? job.name :
+                        job.name.slice(0, job.name.lastIndexOf('-'));
                     var job_trace = trace_event.createBunyanTracer({
                         log: job_log,
                         fields: {
-                            name: 'job.' +
-                                // Drop trailing '-$version'.
-                                job.name.slice(0, job.name.lastIndexOf('-')),
+                            name: 'job.' + job_name,
                             args: { job: job.uuid }
                         }
                     });
@@ -631,6 +1122,8 @@ var WorkflowRunner = module.exports = function (opts) {
                             return callback(err);
                         }
 
+                        // The job cannot run yet, due to the concurrency
+                        // limits of its workflow or target:
                         if (!job) {
                             return callback();
                         }
@@ -713,13 +1206,76 @@ var WorkflowRunner = module.exports = function (opts) {
             });
         }
 
+        // Time until the next poll. It doubles, up to `max_run_interval`, for
+        // every poll with nothing to do, and goes back to `run_interval` once
+        // there is work again:
+        var poll_delay = run_interval;
+        // Whether a poll is in progress, and whether the backend told us about
+        // new jobs meanwhile:
+        var polling = false;
+        var wake_pending = false;
+
+        function schedulePoll(found_work) {
+            polling = false;
+            if (shutting_down) {
+                return;
+            }
+            if (wake_pending || found_work || rn_jobs.length) {
+                poll_delay = run_interval;
+            } else {
+                poll_delay = Math.min(poll_delay * 2, max_run_interval);
+            }
+            clearTimeout(interval);
+            if (wake_pending) {
+                wake_pending = false;
+                interval = setTimeout(doPoll, 0);
+            } else {
+                interval = setTimeout(doPoll, poll_delay);
+            }
+        }
+
+        // Poll right away when the backend notifies about new jobs on any of
+        // our queues, instead of waiting for the next poll:
+        function onJobQueued(ev) {
+            if (shutting_down ||
+                queues.indexOf(ev.queue || 'default') === -1) {
+                return;
+            }
+            if (polling) {
+                wake_pending = true;
+                return;
+            }
+            log.trace({job_uuid: ev.uuid}, 'Job queued, polling now');
+            poll_delay = run_interval;
+            clearTimeout(interval);
+            interval = setTimeout(doPoll, 0);
+        }
+
         function doPoll() {
+            var found_work = false;
+            polling = true;
             backend.isRunnerIdle(identifier, function (idle) {
                 if (idle === false) {
                     vasync.parallel({
                         // Fetch stale jobs from runners which stopped
-                        // reporting activity and cancel them:
+                        // reporting activity, and then jobs whose lease
+                        // expired, and either queue them again or cancel
+                        // them:
                         funcs: [function cancelStaleJobs(cb) {
+                            function reclaimJobs(jobs, reason, next_cb) {
+                                vasync.forEachParallel({
+                                    inputs: jobs,
+                                    func: function reclaim(uuid, fe_cb) {
+                                        reclaimJob(uuid, reason, fe_cb);
+                                    }
+                                }, function (err) {
+                                    if (err) {
+                                        log.error({err: err},
+                                          'Error reclaiming jobs');
+                                    }
+                                    return next_cb();
+                                });
+                            }
                             staleJobs(function (err, jobs) {
                                 if (err) {
                                     log.error({err: err},
@@ -727,38 +1283,102 @@ var WorkflowRunner = module.exports = function (opts) {
                                     // We will not stop even on error:
                                     return cb(null, null);
                                 }
-                                function cancelJobs(uuid, fe_cb) {
-                                    backend.updateJobProperty(
-                                      uuid, 'execution', 'canceled',
-                                        function (err) {
-                                            if (err) {
-                                                return fe_cb(err);
-                                            }
-                                            return backend.getJob(uuid,
-                                              function (err, job) {
-                                                if (err) {
-                                                    return fe_cb(err);
-                                                }
-                                                return backend.finishJob(
-                                                  job, function (err, job) {
-                                                    if (err) {
-                                                        return fe_cb(err);
-                                                    }
-                                                    log.info(
-                                                      'Stale Job ' +
-                                                      job.uuid +
-                                                      ' canceled');
-                                                    return fe_cb(null);
-                                                });
-                                            });
-                                      });
+                                reclaimJobs(jobs, 'inactive runner',
+                                  function () {
+                                    expiredLeaseJobs(function (err2, ejobs) {
+                                        if (err2) {
+                                            log.error({err: err2},
+                                              'Error fetching expired ' +
+                                              'lease jobs');
+                                            return cb(null, null);
+                                        }
+                                        return reclaimJobs(ejobs,
+                                          'expired lease', function () {
+                                            return cb(null, null);
+                                        });
+                                    });
+                                });
+                            });
+                        },
+                        // Stop the execution of our own jobs when they've
+                        // been canceled:
+                        function cancelCanceledJobs(cb) {
+                            canceledJobs(function (err, jobs) {
+                                if (err) {
+                                    log.error({err: err},
+                                      'Error fetching canceled jobs');
+                                    // We will not stop even on error:
+                                    return cb(null, null);
                                 }
-                                return vasync.forEachParallel({
-                                    inputs: jobs,
-                                    func: cancelJobs
-                                }, function (err, results) {
+                                jobs.forEach(function (uuid) {
+                                    if (!job_runners[uuid]) {
+                                        return;
+                                    }
+                                    job_runners[uuid].cancel('canceled',
+                                        function (err) {
+                                        if (err) {
+                                            log.error({err: err},
+                                              'Error canceling job');
+                                        } else {
+                                            log.info('Job with UUID ' + uuid +
+                                                ' canceled.');
+                                        }
+                                    });
+                                });
+                                return cb(null, null);
+                            });
+                        },
+                        // Pause our own jobs when requested, once their
+                        // current task finishes:
+                        function pausePauseRequestedJobs(cb) {
+                            pauseRequestedJobs(function (err, jobs) {
+                                if (err) {
+                                    log.error({err: err},
+                                      'Error fetching jobs to pause');
+                                    // We will not stop even on error:
                                     return cb(null, null);
+                                }
+                                jobs.forEach(function (uuid) {
+                                    if (!job_runners[uuid]) {
+                                        return;
+                                    }
+                                    job_runners[uuid].pause();
                                 });
+                                return cb(null, null);
+                            });
+                        },
+                        // Queue the jobs whose wait for a signal has timed
+                        // out, so they are failed, when we are the leader:
+                        function resumeSignalTimedOutJobs(cb) {
+                            resumeExpiredJobs(function (err, jobs) {
+                                if (err) {
+                                    log.error({err: err},
+                                      'Error resuming expired waiting jobs');
+                                    // We will not stop even on error:
+                                    return cb(null, null);
+                                }
+                                if (jobs.length) {
+                                    log.info({jobs: jobs},
+                                        'Jobs signal wait timed out');
+                                }
+                                return cb(null, null);
+                            });
+                        },
+                        // Queue the jobs of the due schedules, when we are
+                        // the leader:
+                        function queueScheduledJobs(cb) {
+                            runSchedules(function (err, jobs) {
+                                if (err) {
+                                    log.error({err: err},
+                                      'Error running schedules');
+                                    // We will not stop even on error:
+                                    return cb(null, null);
+                                }
+                                if (jobs.length) {
+                                    log.info({jobs: jobs},
+                                        'Scheduled jobs queued');
+                                }
+                                return cb(null, null);
                             });
                         },
                         // Fetch jobs to process.
@@ -769,8 +1389,7 @@ var WorkflowRunner = module.exports = function (opts) {
                                     'Waiting next iteration');
                                 return cb(null, null);
                             }
-                            return backend.nextJobs(0, fetch,
-                                function (err, jobs) {
+                            return nextJobs(fetch, function (err, jobs) {
                                 // Error fetching jobs
                                 if (err) {
                                     log.error({err: err},
@@ -779,9 +1398,10 @@ var WorkflowRunner = module.exports = function (opts) {
                                     return cb(null, null);
                                 }
                                 // No queued jobs
-                                if (!jobs) {
+                                if (!jobs || !jobs.length) {
                                     return cb(null, null);
                                 }
+                                found_work = true;
                                 // Got jobs, let's see if we can run them:
                                 jobs.forEach(function (job) {
                                     if (rn_jobs.indexOf(job) === -1) {
@@ -809,20 +1429,25 @@ var WorkflowRunner = module.exports = function (opts) {
                             });
                         }]
                     }, function (err, results) {
-                        if (!shutting_down) {
-                            interval = setTimeout(doPoll, run_interval);
-                        }
-                        return;
+                        return schedulePoll(found_work);
                     });
                 } else {
                     log.info('Runner idle.');
-                    if (!shutting_down) {
-                        interval = setTimeout(doPoll, run_interval);
-                    }
+                    return schedulePoll(false);
                 }
             });
         }
 
+        // Backends which cannot notify about new jobs are just polled:
+        stopListening();
+        if (backend.notifies) {
+            queued_listener = onJobQueued;
+            backend.on('job:queued', queued_listener);
+        }
+
+        if (do_fork) {
+            pool.start();
+        }
         reportActivity();
         doPoll();
     }
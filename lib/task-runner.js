@@ -5,46 +5,14 @@ var bunyan = require('bunyan');
 var util = require('util');
 var vm = require('vm');
 
-// Run a single task.
-// - opts (Object) required options to run the task:
-//   - job (Object) the job current task is part of.
-//   - task (Object) the task to run.
-//   - sandbox (Object) the sandbox to pass to the VM where the task run
-//     in the form:
-//     {
-//          "any_var": "aValue",
-//          "modules": {
-//              'module_global_var_name': 'node-module-name'
-//          }
-//     }
-// Will return an object with the following information:
-// - job (Object) the job object updated with any modification the task
-//   may need to realize. Note this is the only way of communication between
-//   tasks.
-// - result (String) information about task results.
-// - error (String) when an error has happened, descriptive information.
-// - cmd (String) next command workflow should run after this task. Right now
-//   one of 'run', 'error' or 'queue'.
-var WorkflowTaskRunner = module.exports = function (opts) {
-
-    if (typeof (opts) !== 'object') {
-        throw new TypeError('opts (Object) required');
-    }
-
-    if (typeof (opts.job) !== 'object') {
-        throw new TypeError('opts.job (Object) required');
-    }
-
-    if (typeof (opts.task) !== 'object') {
-        throw new TypeError('opts.task (Object) required');
-    }
-
-    function info(rec) {
-        return taskCallback(formatResults({
-            info: rec
-        }));
-    }
-
+// Milliseconds a task `when` predicate may run, so a predicate which never
+// returns cannot hang the runner evaluating it:
+var WHEN_TIMEOUT = 1000;
+
+// Create the VM context where task functions are evaluated.
+// - opts (Object) same options than WorkflowTaskRunner.
+// - info (Function) available for tasks to report progress.
+function createContext(opts, info) {
     var sandbox = {
         setTimeout: global.setTimeout,
         clearTimeout: global.clearTimeout,
@@ -93,7 +61,50 @@ var WorkflowTaskRunner = module.exports = function (opts) {
         }
     }
 
-    var context = vm.createContext(sandbox);
+    return vm.createContext(sandbox);
+}
+
+// Run a single task.
+// - opts (Object) required options to run the task:
+//   - job (Object) the job current task is part of.
+//   - task (Object) the task to run.
+//   - sandbox (Object) the sandbox to pass to the VM where the task run
+//     in the form:
+//     {
+//          "any_var": "aValue",
+//          "modules": {
+//              'module_global_var_name': 'node-module-name'
+//          }
+//     }
+// Will return an object with the following information:
+// - job (Object) the job object updated with any modification the task
+//   may need to realize. Note this is the only way of communication between
+//   tasks.
+// - result (String) information about task results.
+// - error (String) when an error has happened, descriptive information.
+// - cmd (String) next command workflow should run after this task. Right now
+//   one of 'run', 'error' or 'queue'.
+var WorkflowTaskRunner = module.exports = function (opts) {
+
+    if (typeof (opts) !== 'object') {
+        throw new TypeError('opts (Object) required');
+    }
+
+    if (typeof (opts.job) !== 'object') {
+        throw new TypeError('opts.job (Object) required');
+    }
+
+    if (typeof (opts.task) !== 'object') {
+        throw new TypeError('opts.task (Object) required');
+    }
+
+    function info(rec) {
+        return taskCallback(formatResults({
+            info: rec
+        }));
+    }
+
+    var context = createContext(opts, info);
 
     var job = opts.job;
     var name = opts.task.name || opts.task.uuid;
@@ -114,6 +125,43 @@ var WorkflowTaskRunner = module.exports = function (opts) {
         throw new TypeError('opt.task.body (String) must be a Function source');
     }
 
+    // Delay, in milliseconds, before retrying the task body:
+    var retry_delay = opts.task.retry_delay || 0;
+    if (typeof (retry_delay) !== 'number' || retry_delay < 0) {
+        throw new TypeError('opt.task.retry_delay must be a positive Number');
+    }
+
+    // Exponential backoff for the retry delay, optional:
+    var retry_backoff = opts.task.retry_backoff || null;
+    if (typeof (retry_backoff) === 'string') {
+        try {
+            retry_backoff = JSON.parse(retry_backoff);
+        } catch (e) {
+            throw new TypeError('opt.task.retry_backoff must be an Object');
+        }
+    }
+    if (retry_backoff && typeof (retry_backoff) !== 'object') {
+        throw new TypeError('opt.task.retry_backoff must be an Object');
+    }
+
+    // Which errors should be retried. Either a list of errors or a function
+    // source, optional:
+    var retry_on = opts.task.retry_on || null;
+    if (typeof (retry_on) === 'string') {
+        try {
+            retry_on = (retry_on.charAt(0) === '[') ? JSON.parse(retry_on) :
+                vm.runInContext('(' + retry_on + ')', context);
+        } catch (e) {
+            throw new TypeError('opt.task.retry_on must be an Array or a ' +
+                'Function source');
+        }
+    }
+    if (retry_on && !util.isArray(retry_on) &&
+            typeof (retry_on) !== 'function') {
+        throw new TypeError('opt.task.retry_on must be an Array or a ' +
+            'Function source');
+    }
+
     var fallback;
     try {
         fallback = (!opts.task.fallback) ? null :
@@ -130,9 +178,14 @@ var WorkflowTaskRunner = module.exports = function (opts) {
 
     // Number of already run retries:
     var retries = 0;
+    // Every attempt to run the task body, including its error when failed:
+    var attempts = [];
     // Placeholder for timeout identifiers:
     var taskTimeoutId = null;
     var taskFallbackTimeoutId = null;
+    // Set once the task body (or fallback) timed out or threw, so it may still
+    // be running or have left anything behind:
+    var interrupted = false;
 
     var taskCallback = null;
 
@@ -169,6 +222,10 @@ var WorkflowTaskRunner = module.exports = function (opts) {
             msg.cmd = 'info';
         }
 
+        if (retry > 1 && !msg.info) {
+            msg.attempts = attempts;
+        }
+
         if (!msg.cmd) {
             if (msg.error === '') {
                 msg.cmd = 'run';
@@ -187,6 +244,9 @@ var WorkflowTaskRunner = module.exports = function (opts) {
         }
 
         msg.task_name = name;
+        if (interrupted) {
+            msg.interrupted = true;
+        }
         return msg;
     }
 
@@ -208,9 +268,71 @@ var WorkflowTaskRunner = module.exports = function (opts) {
         }
     }
 
+    function errorString(err) {
+        if (typeof (err) === 'string') {
+            return err;
+        }
+        return (err && err.message) ? err.message : String(err);
+    }
+
+    // Save the outcome of the current attempt:
+    function endAttempt(err) {
+        var attempt = attempts[attempts.length - 1];
+        if (attempt && !attempt.finished_at) {
+            attempt.finished_at = new Date().toISOString();
+            attempt.error = (err) ? errorString(err) : '';
+        }
+    }
+
+    // Should the given error be retried? Everything is, unless the task
+    // `retry_on` says otherwise:
+    function isRetryable(err) {
+        if (!retry_on) {
+            return true;
+        }
+
+        if (typeof (retry_on) === 'function') {
+            try {
+                return Boolean(retry_on(err, job));
+            } catch (e) {
+                log.error({err: e}, 'Error evaluating task "retry_on"');
+                return false;
+            }
+        }
+
+        return retry_on.some(function (e) {
+            return (e === err || (err && typeof (err) === 'object' &&
+                (e === err.name || e === err.message || e === err.code ||
+                 e === err.restCode)));
+        });
+    }
+
+    // Milliseconds to wait before the next retry, given the number of
+    // attempts already made:
+    function retryDelay(n) {
+        var delay = retry_delay;
+        var jitter;
+
+        if (retry_backoff) {
+            delay = (retry_delay || 1000) *
+                Math.pow(retry_backoff.factor || 2, n - 1);
+            if (retry_backoff.max_delay) {
+                delay = Math.min(delay, retry_backoff.max_delay);
+            }
+            if (retry_backoff.jitter) {
+                jitter = (retry_backoff.jitter === true) ?
+                    1 : retry_backoff.jitter;
+                delay -= delay * jitter * Math.random();
+            }
+        }
+        return Math.round(delay);
+    }
+
     // A retry may fail either due to a task timeout or just a task failure:
     function onRetryError(err, cb) {
+        var delay;
         clearTaskTimeoutId(taskTimeoutId);
+        endAttempt(err);
 
         // If job sent a cancelation message, stop here:
         if (taskRunner.canceled) {
@@ -220,9 +342,22 @@ var WorkflowTaskRunner = module.exports = function (opts) {
             }));
         }
 
-        // If we are not at the latest retry, try again:
-        if (retries < retry) {
-            return retryTask(cb);
+        // If we are not at the latest retry, and the error is worth a retry,
+        // try again:
+        if (retries < retry && isRetryable(err)) {
+            delay = retryDelay(retries);
+            if (!delay) {
+                return retryTask(cb);
+            }
+            return setTimeout(function () {
+                if (taskRunner.canceled) {
+                    return cb(formatResults({
+                        error: 'cancel',
+                        cmd: 'cancel'
+                    }));
+                }
+                return retryTask(cb);
+            }, delay);
         } else {
             // We are at the latest retry, check if the task has a 'fallback':
             if (fallback) {
@@ -231,6 +366,7 @@ var WorkflowTaskRunner = module.exports = function (opts) {
                     clearTaskTimeoutId(taskFallbackTimeoutId);
                     // Task timeout must be in seconds:
                     taskFallbackTimeoutId = setTimeout(function () {
+                        interrupted = true;
                         return cb(formatResults({
                             error: 'task timeout error'
                         }));
@@ -271,6 +407,9 @@ var WorkflowTaskRunner = module.exports = function (opts) {
     function retryTask(cb) {
         var retryTimedOut = false;
         retries += 1;
+        attempts.push({
+            started_at: new Date().toISOString()
+        });
 
         // Set the task timeout when given:
         if (timeout) {
@@ -278,6 +417,7 @@ var WorkflowTaskRunner = module.exports = function (opts) {
             // Task timeout must be in seconds:
             taskTimeoutId = setTimeout(function () {
                 retryTimedOut = true;
+                interrupted = true;
                 return onRetryError('task timeout error', cb);
             }, timeout);
         }
@@ -291,6 +431,9 @@ var WorkflowTaskRunner = module.exports = function (opts) {
             clearTaskTimeoutId(taskTimeoutId);
             // Task invokes callback with an error message:
             if (err) {
+                if (err === 'queue' || err === 'retry' || err === 'wait') {
+                    endAttempt();
+                }
                 // A task can re-queue a job:
                 if (err === 'queue') {
                     return cb(formatResults({
@@ -303,8 +446,17 @@ var WorkflowTaskRunner = module.exports = function (opts) {
                         result: (res) ? res : 'OK',
                         error: 'retry'
                     }));
-                // Or tell the job to hold on until something external happens:
+                // Or tell the job to hold on until something external happens,
+                // optionally a named signal:
                 } else if (err === 'wait') {
+                    if (res && typeof (res) === 'object' && res.signal) {
+                        return cb(formatResults({
+                            result: 'OK',
+                            error: 'wait',
+                            signal: String(res.signal),
+                            signal_timeout: res.timeout
+                        }));
+                    }
                     return cb(formatResults({
                         result: (res) ? res : 'OK',
                         error: 'wait'
@@ -312,6 +464,7 @@ var WorkflowTaskRunner = module.exports = function (opts) {
                 }
                 return onRetryError(err, cb);
             } else {
+                endAttempt();
                 // All good calling the task body, let's save the results and
                 // move to next task:
                 return cb(formatResults({
@@ -342,12 +495,16 @@ var WorkflowTaskRunner = module.exports = function (opts) {
     //     of 'run', 'error', 'queue', 'retry'. (In the future we may also
     //     implement 'pause' to let the runner set a timeout to continue
     //     execution).
+    //   - interrupted (Boolean) only present, and true, when the task body or
+    //     fallback timed out or threw an exception.
     function runTask(callback) {
         taskCallback = callback;
         try {
             retryTask(callback);
         } catch (e) {
             clearTaskTimeoutId(taskTimeoutId);
+            interrupted = true;
+            endAttempt(e.stack);
             // On this case, we will make an exception and return the stack,
             // b/c this means the task is raising an uncaught exception:
             callback(formatResults({
@@ -367,3 +524,48 @@ var WorkflowTaskRunner = module.exports = function (opts) {
     taskRunner.runTask = runTask;
     return taskRunner;
 };
+
+
+// Evaluate the task `when` predicate, if any, against the job, within the same
+// sandbox the task would run. Takes the same options than WorkflowTaskRunner.
+// Returns true when the task should run, false when it should be skipped.
+// Throws when the predicate is not a function, it throws itself or it times
+// out.
+WorkflowTaskRunner.shouldRun = function shouldRun(opts) {
+    if (typeof (opts) !== 'object') {
+        throw new TypeError('opts (Object) required');
+    }
+
+    if (typeof (opts.job) !== 'object') {
+        throw new TypeError('opts.job (Object) required');
+    }
+
+    if (typeof (opts.task) !== 'object') {
+        throw new TypeError('opts.task (Object) required');
+    }
+
+    if (!opts.task.when) {
+        return true;
+    }
+
+    var context = createContext(opts, function () {});
+    var when;
+    try {
+        when = vm.runInContext('(' + opts.task.when + ')', context, {
+            timeout: WHEN_TIMEOUT
+        });
+    } catch (e) {
+        throw new TypeError('opt.task.when (String) must be a Function source');
+    }
+
+    if (typeof (when) !== 'function') {
+        throw new TypeError('opt.task.when (String) must be a Function source');
+    }
+
+    // Called within the context too, so the timeout applies to it:
+    context.__wf_when = when;
+    context.__wf_job = opts.job;
+    return Boolean(vm.runInContext('__wf_when(__wf_job)', context, {
+        timeout: WHEN_TIMEOUT
+    }));
+};
@@ -0,0 +1,122 @@
+// Copyright (c) 2018, Joyent, Inc.
+
+// Pool of pre-forked child processes (see child.js) to run tasks into. Once a
+// task has finished, the child process which ran it is kept idle, waiting for
+// the next task, instead of being killed. Child processes are never reused
+// after a task has been stopped or aborted (task or job timeouts, canceled
+// jobs, ...), after they crashed or once they have run `max_tasks` tasks.
+
+var fork = require('child_process').fork;
+
+var CHILD = __dirname + '/child.js';
+
+// - opts - configuration options:
+//    - size: Max number of idle child processes kept around. A pool of size
+//            zero forks a new child process for every task.
+//    - max_tasks: Max number of tasks a child process will run before being
+//                 recycled. (Zero means no limit).
+//    - idle_timeout: Milliseconds an idle child process will be kept before
+//                    being recycled. (Zero means no limit).
+//    - log: Logger.
+var WorkerPool = module.exports = function (opts) {
+    var size = opts.size || 0;
+    var max_tasks = opts.max_tasks || 0;
+    var idle_timeout = opts.idle_timeout || 0;
+    var log = opts.log;
+    // Idle child processes, the ones idle for longer first:
+    var idle = [];
+    var closed = false;
+
+    function recycle(child) {
+        if (child._wf_idle_timer) {
+            clearTimeout(child._wf_idle_timer);
+            child._wf_idle_timer = null;
+        }
+        var i = idle.indexOf(child);
+        if (i !== -1) {
+            idle.splice(i, 1);
+        }
+        if (child.exitCode === null && child.signalCode === null) {
+            child.kill();
+        }
+    }
+
+    function spawn() {
+        var child = fork(CHILD);
+        child._wf_tasks = 0;
+        // Idle child processes going away just leave the pool:
+        child.on('exit', function () {
+            recycle(child);
+        });
+        return child;
+    }
+
+    function keep(child) {
+        idle.push(child);
+        if (idle_timeout) {
+            child._wf_idle_timer = setTimeout(function () {
+                log.trace({pid: child.pid}, 'Recycling idle child process');
+                recycle(child);
+            }, idle_timeout);
+        }
+    }
+
+    // Fork the child processes the pool keeps idle, so the first tasks do
+    // not have to wait for them.
+    function start() {
+        closed = false;
+        while (idle.length < size) {
+            try {
+                keep(spawn());
+            } catch (e) {
+                log.error(e, 'Error forking child process');
+                return;
+            }
+        }
+    }
+
+    // Get a child process to run a single task, either an idle one or a new
+    // one. Throws when a new child process cannot be forked.
+    function acquire() {
+        var child = idle.shift();
+        if (child) {
+            clearTimeout(child._wf_idle_timer);
+            child._wf_idle_timer = null;
+        } else {
+            child = spawn();
+        }
+        child._wf_tasks += 1;
+        return child;
+    }
+
+    // Give back a child process once its task is done. When `reuse` is not
+    // true the child process is recycled, otherwise it will be kept idle
+    // unless it is gone, the pool is full or it has run its max tasks.
+    function release(child, reuse) {
+        if (!reuse || closed || !child.connected || idle.length >= size ||
+            (max_tasks && child._wf_tasks >= max_tasks)) {
+            recycle(child);
+        } else {
+            keep(child);
+        }
+    }
+
+    // Recycle all the idle child processes, and every one given back from now
+    // on, until the pool is started again.
+    function close() {
+        closed = true;
+        idle.slice().forEach(recycle);
+    }
+
+    function idleCount() {
+        return idle.length;
+    }
+
+    return {
+        start: start,
+        acquire: acquire,
+        release: release,
+        close: close,
+        idleCount: idleCount
+    };
+};
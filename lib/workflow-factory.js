@@ -6,6 +6,127 @@ var util = require('util');
 var crypto = require('crypto');
 
 var clone = require('clone');
+var vasync = require('vasync');
+var jsonschema = require('json-schema');
+var cron = require('./cron');
+
+var CATCH_UP_POLICIES = ['last', 'all', 'skip'];
+
+var CONFLICT_POLICIES = ['reject', 'wait'];
+
+var DEPENDENCY_OUTCOMES = ['succeeded', 'finished'];
+
+var RECOVERY_POLICIES = ['cancel', 'requeue', 'requeue-if-idempotent'];
+
+// Queue of the jobs whose workflow doesn't say otherwise:
+var DEFAULT_QUEUE = 'default';
+
+var SCHEMA_TYPES = [
+    'string', 'number', 'integer', 'boolean', 'object', 'array', 'null', 'any'
+];
+
+// Check the given JSON Schema is usable to validate job params. Returns an
+// error message or null when the schema is fine.
+function checkParamsSchema(schema, path) {
+    var types, props, p, err;
+
+    path = path || 'params';
+
+    if (typeof (schema) !== 'object' || schema === null ||
+            util.isArray(schema)) {
+        return util.format('Workflow "params_schema" %s must be an object',
+                path);
+    }
+
+    if (typeof (schema.type) !== 'undefined') {
+        types = util.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.every(function (t) {
+            return (SCHEMA_TYPES.indexOf(t) !== -1);
+        })) {
+            return util.format('Workflow "params_schema" %s has an unknown ' +
+                    'type', path);
+        }
+    }
+
+    props = schema.properties;
+    if (typeof (props) !== 'undefined') {
+        if (typeof (props) !== 'object' || props === null ||
+                util.isArray(props)) {
+            return util.format('Workflow "params_schema" %s properties must ' +
+                    'be an object', path);
+        }
+        for (p in props) {
+            err = checkParamsSchema(props[p], path + '.' + p);
+            if (err) {
+                return err;
+            }
+        }
+    }
+
+    if (typeof (schema.items) === 'object' && !util.isArray(schema.items)) {
+        return checkParamsSchema(schema.items, path + '[]');
+    }
+
+    return null;
+}
+
+// Set the defaults declared into the schema for any missing property of the
+// given object, recursively.
+function applySchemaDefaults(obj, schema) {
+    if (typeof (obj) !== 'object' || obj === null || util.isArray(obj) ||
+            typeof (schema.properties) !== 'object') {
+        return;
+    }
+
+    Object.keys(schema.properties).forEach(function (p) {
+        var prop = schema.properties[p];
+        if (typeof (obj[p]) === 'undefined' &&
+                typeof (prop['default']) !== 'undefined') {
+            obj[p] = clone(prop['default']);
+        }
+        applySchemaDefaults(obj[p], prop);
+    });
+}
+
+// The validator understands `required: true` on every property. Also accept
+// the list of required properties on the object itself:
+function requiredProperties(schema) {
+    var s = clone(schema);
+    var props = s.properties;
+
+    if (typeof (props) === 'object') {
+        Object.keys(props).forEach(function (p) {
+            props[p] = requiredProperties(props[p]);
+        });
+        if (util.isArray(s.required)) {
+            s.required.forEach(function (p) {
+                if (props[p]) {
+                    props[p].required = true;
+                }
+            });
+        }
+    }
+
+    if (util.isArray(s.required)) {
+        delete s.required;
+    }
+
+    if (typeof (s.items) === 'object' && !util.isArray(s.items)) {
+        s.items = requiredProperties(s.items);
+    }
+
+    return s;
+}
+
+// Validate the given params against the schema. Returns the list of
+// violations, empty when params are valid.
+function validateParams(params, schema) {
+    var result = jsonschema.validate(params, requiredProperties(schema));
+    return result.errors.map(function (e) {
+        return util.format('%s %s', (e.property) ?
+                'params.' + e.property : 'params', e.message);
+    });
+}
 
 var WorkflowFactory = module.exports = function (backend) {
     // Create a workflow and store it on the backend
@@ -24,6 +145,21 @@ var WorkflowFactory = module.exports = function (backend) {
     //     is executed. (optional)
     //   - max_delay: integer, maximum delay in milliseconds between retries
     //     (optional)
+    //   - params_schema: Object, JSON Schema the params of every job created
+    //     from the workflow must match. (optional)
+    //   - queue: string, name of the queue for the jobs created from the
+    //     workflow. Only runners subscribed to this queue will run them.
+    //     ('default' if nothing given).
+    //   - max_concurrency: integer, maximum number of jobs created from the
+    //     workflow running at once. Jobs beyond this limit remain queued.
+    //     (optional)
+    //   - serialize_target: boolean, when true, jobs created from the workflow
+    //     remain queued while any other job with the same target is running,
+    //     instead of being rejected on creation. (optional)
+    //   - recovery: string, what to do with the jobs created from the
+    //     workflow which were running when their runner died or restarted.
+    //     One of "cancel", "requeue" or "requeue-if-idempotent" ("cancel" if
+    //     nothing given). (optional)
     // - opts - Object, any additional information to be passed to the backend
     //          when creating a workflow object which are not workflow
     //          properties, like HTTP request ID or other meta information.
@@ -36,8 +172,47 @@ var WorkflowFactory = module.exports = function (backend) {
     //     fails. Optional.
     //   - retry: Integer, number of attempts to run the task before try
     //     `fallback`. Optional. By default, just one retry.
+    //   - retry_delay: Integer, milliseconds to wait before every retry.
+    //     Optional. By default, retries happen right away.
+    //   - retry_backoff: Object, to exponentially increase `retry_delay` on
+    //     every retry, with members `factor` (2 by default), `max_delay`, the
+    //     maximum delay in milliseconds, and `jitter`, either true or a number
+    //     between 0 and 1, the fraction of the delay to randomize. Optional.
+    //   - retry_on: Array of errors (or names, messages or codes of errors),
+    //     or function(err, job) returning if the error should be retried.
+    //     Optional. By default, every error is retried.
     //   - timeout: Integer, acceptable time, in seconds, a task execution
     //     should take, before fail it with timeout error. Optional.
+    //   - when: function(job) a predicate evaluated right before running the
+    //     task. The task is skipped when it returns a falsy value. Optional.
+    //   - compensate: function(job, cb) a function to undo what the task did,
+    //     run when the job chain fails after the task succeeded. Optional.
+    //   - idempotent: Boolean, when true, the task can safely run again after
+    //     being interrupted. Optional.
+    //
+    // A Task can also run another workflow as a child job, instead of a body.
+    // Job waits until the child job finishes, and fails if the child job does:
+    //   - name - string task name, optional.
+    //   - workflow - string, name or UUID of the workflow to run. Required.
+    //   - params - Object, params for the child job, added to a copy of the
+    //     job params. Optional.
+    //
+    // Or run its body once for every item of an array found into the job,
+    // given as `job.map_item` (and its position as `job.map_index`):
+    //   - map - string, path of the array into the job, like 'params.servers'.
+    //     Required.
+    //   - concurrency - Integer, maximum number of items to run at once.
+    //     Optional. By default, 1.
+    //   - on_item_error - One of 'abort', 'continue' or 'ignore', what to do
+    //     when an item fails. Optional. By default, 'abort'.
+    //
+    // Instead of a Task, any member of a chain can be a group of tasks to run
+    // concurrently, with the following members:
+    //   - name - string group name, optional.
+    //   - parallel - An array of Tasks to run at once. Required. Note a group
+    //     cannot contain another group.
+    //   - join - 'all', 'any' or an Integer, the number of tasks which must
+    //     succeed for the group to succeed. Optional. By default, 'all'.
     //
     function workflow(w, opts, callback) {
         var wf = w || {};
@@ -50,6 +225,10 @@ var WorkflowFactory = module.exports = function (backend) {
         function validateTask(task, cb) {
             var p;
 
+            if (task.workflow) {
+                return validateSubWorkflowTask(task, cb);
+            }
+
             if (!task.body) {
                 return cb('Task "body" is required');
             }
@@ -67,6 +246,45 @@ var WorkflowFactory = module.exports = function (backend) {
                 return cb('Task "fallback" must be a function');
             }
 
+            // Same for task.when
+            if (task.when && typeof (task.when) !== 'function') {
+                return cb('Task "when" must be a function');
+            }
+
+            // And task.compensate
+            if (task.compensate && typeof (task.compensate) !== 'function') {
+                return cb('Task "compensate" must be a function');
+            }
+
+            if (typeof (task.retry_delay) !== 'undefined' &&
+                (typeof (task.retry_delay) !== 'number' ||
+                 task.retry_delay < 0)) {
+                return cb('Task "retry_delay" must be a positive number');
+            }
+
+            if (task.retry_backoff && (typeof (task.retry_backoff) !==
+                    'object' || util.isArray(task.retry_backoff) ||
+                    (task.retry_backoff.factor &&
+                     !(task.retry_backoff.factor >= 1)) ||
+                    (task.retry_backoff.max_delay &&
+                     !(task.retry_backoff.max_delay > 0)) ||
+                    (typeof (task.retry_backoff.jitter) === 'number' &&
+                     !(task.retry_backoff.jitter >= 0 &&
+                       task.retry_backoff.jitter <= 1)))) {
+                return cb('Task "retry_backoff" must be an object with ' +
+                    'valid factor, max_delay and jitter');
+            }
+
+            if (task.retry_on && !util.isArray(task.retry_on) &&
+                    typeof (task.retry_on) !== 'function') {
+                return cb('Task "retry_on" must be an array or a function');
+            }
+
+            if (typeof (task.idempotent) !== 'undefined' &&
+                    typeof (task.idempotent) !== 'boolean') {
+                return cb('Task "idempotent" must be a boolean');
+            }
+
             // If task is overriding modules to load, make sure it's a
             // proper object with keys:
             if (task.modules &&
@@ -84,6 +302,123 @@ var WorkflowFactory = module.exports = function (backend) {
             return task;
         }
 
+        function validateSubWorkflowTask(task, cb) {
+            if (typeof (task.workflow) !== 'string') {
+                return cb('Task "workflow" must be a string');
+            }
+
+            if (task.body) {
+                return cb('Task cannot have both "workflow" and "body"');
+            }
+
+            if (task.params && (typeof (task.params) !== 'object' ||
+                        util.isArray(task.params))) {
+                return cb('Task "params" must be an object');
+            }
+
+            if (task.compensate && typeof (task.compensate) !== 'function') {
+                return cb('Task "compensate" must be a function');
+            }
+
+            if (!task.uuid) {
+                task.uuid = uuid();
+            }
+
+            if (task.params) {
+                task.params = JSON.stringify(task.params);
+            }
+            if (task.compensate) {
+                task.compensate = task.compensate.toString();
+            }
+            return task;
+        }
+
+        function validateMapTask(task, cb) {
+            if (typeof (task.map) !== 'string') {
+                return cb('Task "map" must be a string');
+            }
+
+            if (task.workflow) {
+                return cb('Task cannot have both "map" and "workflow"');
+            }
+
+            if (typeof (task.concurrency) !== 'undefined' &&
+                (typeof (task.concurrency) !== 'number' ||
+                 Math.round(task.concurrency) !== task.concurrency ||
+                 task.concurrency < 1)) {
+                return cb('Task "concurrency" must be a positive integer');
+            }
+
+            if (typeof (task.on_item_error) === 'undefined') {
+                task.on_item_error = 'abort';
+            }
+
+            if (['abort', 'continue', 'ignore'].indexOf(
+                        task.on_item_error) === -1) {
+                return cb('Task "on_item_error" must be one of "abort", ' +
+                    '"continue" or "ignore"');
+            }
+
+            return validateTask(task, cb);
+        }
+
+        // Tasks into a group are validated and stringified one by one, so
+        // they will be also part of the chain MD5 hashes:
+        function validateGroup(group, cb) {
+            if (!util.isArray(group.parallel) || group.parallel.length === 0) {
+                return cb('Group "parallel" must be a non empty array');
+            }
+
+            if (typeof (group.join) === 'undefined') {
+                group.join = 'all';
+            }
+
+            if (group.join !== 'all' && group.join !== 'any' &&
+                (typeof (group.join) !== 'number' ||
+                 Math.round(group.join) !== group.join ||
+                 group.join < 1 || group.join > group.parallel.length)) {
+                return cb('Group "join" must be one of "all", "any" or ' +
+                    'a number of tasks');
+            }
+
+            if (!group.uuid) {
+                group.uuid = uuid();
+            }
+
+            group.parallel.forEach(function (task, i, arr) {
+                if (task.parallel) {
+                    return cb('A group cannot contain another group');
+                }
+                if (task.workflow) {
+                    return cb('A group cannot contain a workflow task');
+                }
+                if (task.map) {
+                    return cb('A group cannot contain a map task');
+                }
+                group.parallel[i] = validateTask(task, cb);
+                return null;
+            });
+            return group;
+        }
+
+        function validateEntry(entry, cb) {
+            if (entry.parallel) {
+                return validateGroup(entry, cb);
+            }
+            if (typeof (entry.map) !== 'undefined') {
+                return validateMapTask(entry, cb);
+            }
+            return validateTask(entry, cb);
+        }
+
+        // Keep just the first validation error:
+        var error = null;
+        function onValidationError(err) {
+            if (!error) {
+                error = err;
+            }
+        }
+
         if (!wf.name) {
             return callback('Workflow "name" is required');
         }
@@ -102,6 +437,37 @@ var WorkflowFactory = module.exports = function (backend) {
             wf.uuid = uuid();
         }
 
+        if (typeof (wf.params_schema) !== 'undefined') {
+            error = checkParamsSchema(wf.params_schema);
+            if (error) {
+                return callback(error);
+            }
+        }
+
+        if (typeof (wf.queue) !== 'undefined' &&
+                (typeof (wf.queue) !== 'string' || !wf.queue)) {
+            return callback('Workflow "queue" must be a non empty string');
+        }
+
+        if (typeof (wf.max_concurrency) !== 'undefined' &&
+                (typeof (wf.max_concurrency) !== 'number' ||
+                 Math.round(wf.max_concurrency) !== wf.max_concurrency ||
+                 wf.max_concurrency < 1)) {
+            return callback(
+                'Workflow "max_concurrency" must be a positive integer');
+        }
+
+        if (typeof (wf.serialize_target) !== 'undefined' &&
+                typeof (wf.serialize_target) !== 'boolean') {
+            return callback('Workflow "serialize_target" must be a boolean');
+        }
+
+        if (typeof (wf.recovery) !== 'undefined' &&
+                RECOVERY_POLICIES.indexOf(wf.recovery) === -1) {
+            return callback('Workflow "recovery" must be one of "' +
+                    RECOVERY_POLICIES.join('", "') + '"');
+        }
+
         if (typeof (wf.max_attempts) !== 'number') {
             wf.max_attempts = 10;
         }
@@ -129,7 +495,7 @@ var WorkflowFactory = module.exports = function (backend) {
         }
 
         wf.chain.forEach(function (task, i, arr) {
-            wf.chain[i] = validateTask(task, callback);
+            wf.chain[i] = validateEntry(task, onValidationError);
         });
 
         wf.chain_md5 = crypto.createHash('md5').update(
@@ -137,7 +503,7 @@ var WorkflowFactory = module.exports = function (backend) {
 
         if (wf.onerror) {
             wf.onerror.forEach(function (task, i, arr) {
-                wf.onerror[i] = validateTask(task, callback);
+                wf.onerror[i] = validateEntry(task, onValidationError);
             });
             wf.onerror_md5 = crypto.createHash('md5').update(
                     JSON.stringify(clone(wf.onerror))).digest('hex');
@@ -145,12 +511,16 @@ var WorkflowFactory = module.exports = function (backend) {
 
         if (wf.oncancel) {
             wf.oncancel.forEach(function (task, i, arr) {
-                wf.oncancel[i] = validateTask(task, callback);
+                wf.oncancel[i] = validateEntry(task, onValidationError);
             });
             wf.oncancel_md5 = crypto.createHash('md5').update(
                     JSON.stringify(clone(wf.oncancel))).digest('hex');
         }
 
+        if (error) {
+            return callback(error);
+        }
+
         if (typeof (wf.timeout) !== 'number') {
             wf.timeout = 3600;
         } else if (wf.timeout === 0) {
@@ -170,6 +540,8 @@ var WorkflowFactory = module.exports = function (backend) {
     //
     // - j - the Job object workflow and extra arguments:
     //   - workflow - (required) UUID of Workflow object to create the job from.
+    //   - workflow_version - (opt) Integer, version of the workflow to create
+    //                        the job from, or 'latest' (default).
     //   - params - (opt) JSON object, parameters to pass to the job during exec
     //   - target - (opt) String, Job's target, used to ensure that we don't
     //              queue two jobs with the same target and params at once.
@@ -177,6 +549,22 @@ var WorkflowFactory = module.exports = function (backend) {
     //                  given timestamp (execute from now when not given).
     //   - num_attempts - (opt) if this job is a retry of another job, this is
     //                    how many attempts have happened before this one.
+    //   - priority - (opt) Integer, jobs with higher priority run first
+    //                (0 by default).
+    //   - queue - (opt) String, name of the queue for the job (the workflow
+    //             queue by default).
+    //   - on_conflict - (opt) What to do when the job target is locked by
+    //                   another job, or another job with the same target and
+    //                   params is queued or running: 'reject' (default) fails
+    //                   the job creation, 'wait' creates the job 'blocked'
+    //                   until these jobs are finished.
+    //   - idempotency_key - (opt) String, client provided key used by the API
+    //                       to recognize repeated job creation requests.
+    //   - depends_on - (opt) Array of job UUIDs. The job remains 'blocked'
+    //                  until all these jobs are finished.
+    //   - depends_on_outcome - (opt) 'succeeded' (default) cancels the job
+    //                          when any of the jobs it depends on does not
+    //                          succeed, 'finished' runs it anyway.
     // - opts - Object, any additional information to be passed to the backend
     //          when creating a workflow object which are not workflow
     //          properties, like HTTP request ID or other meta information.
@@ -193,7 +581,81 @@ var WorkflowFactory = module.exports = function (backend) {
             opts = {};
         }
 
-        return backend.getWorkflow(j.workflow, function (err, wf) {
+        if (typeof (j.workflow_version) === 'string' &&
+                j.workflow_version !== 'latest') {
+            j.workflow_version = Number(j.workflow_version);
+        }
+
+        if (typeof (j.workflow_version) !== 'undefined' &&
+                j.workflow_version !== 'latest' &&
+                (Math.round(j.workflow_version) !== j.workflow_version ||
+                 j.workflow_version < 1)) {
+            return callback(
+                '"j.workflow_version" must be a version number or "latest"');
+        }
+
+        if (typeof (j.priority) === 'string' && /^-?\d+$/.test(j.priority)) {
+            j.priority = Number(j.priority);
+        }
+
+        if (typeof (j.priority) !== 'undefined' &&
+                (typeof (j.priority) !== 'number' ||
+                 Math.round(j.priority) !== j.priority)) {
+            return callback('"j.priority" must be an integer');
+        }
+
+        if (typeof (j.on_conflict) !== 'undefined' &&
+                CONFLICT_POLICIES.indexOf(j.on_conflict) === -1) {
+            return callback('"j.on_conflict" must be one of "' +
+                    CONFLICT_POLICIES.join('", "') + '"');
+        }
+
+        if (typeof (j.queue) !== 'undefined' &&
+                (typeof (j.queue) !== 'string' || !j.queue)) {
+            return callback('"j.queue" must be a non empty string');
+        }
+
+        if (typeof (j.idempotency_key) !== 'undefined' &&
+                (typeof (j.idempotency_key) !== 'string' ||
+                 !j.idempotency_key)) {
+            return callback('"j.idempotency_key" must be a non empty string');
+        }
+
+        if (typeof (j.depends_on) !== 'undefined' &&
+                (!util.isArray(j.depends_on) ||
+                 !j.depends_on.every(function (d) {
+                    return (typeof (d) === 'string' && d && d !== j.uuid);
+                }))) {
+            return callback('"j.depends_on" must be an array of job UUIDs');
+        }
+
+        if (typeof (j.depends_on_outcome) !== 'undefined' &&
+                DEPENDENCY_OUTCOMES.indexOf(j.depends_on_outcome) === -1) {
+            return callback('"j.depends_on_outcome" must be one of "' +
+                    DEPENDENCY_OUTCOMES.join('", "') + '"');
+        }
+
+        // Backends unable to keep jobs blocked would just ignore them:
+        if ((typeof (j.depends_on) !== 'undefined' ||
+                typeof (j.depends_on_outcome) !== 'undefined') &&
+                !backend.blocks_jobs) {
+            return callback('Backend does not support job dependencies');
+        }
+
+        if (typeof (j.workflow_version) === 'number' &&
+                typeof (backend.getWorkflowVersion) !== 'function') {
+            return callback('Backend does not support workflow versions');
+        }
+
+        function getWorkflow(cb) {
+            if (typeof (j.workflow_version) === 'number') {
+                return backend.getWorkflowVersion(j.workflow,
+                        j.workflow_version, cb);
+            }
+            return backend.getWorkflow(j.workflow, cb);
+        }
+
+        return getWorkflow(function (err, wf) {
             var p;
             var q;
             if (err) {
@@ -228,6 +690,10 @@ var WorkflowFactory = module.exports = function (backend) {
                 theJob.num_attempts = 0;
             }
 
+            if (!theJob.priority) {
+                theJob.priority = 0;
+            }
+
             if (!theJob.uuid) {
                 theJob.uuid = uuid();
             }
@@ -236,29 +702,266 @@ var WorkflowFactory = module.exports = function (backend) {
             for (p in wf) {
                 if (p === 'uuid') {
                     theJob.workflow_uuid = wf.uuid;
+                } else if (p === 'version') {
+                    theJob.workflow_version = wf.version;
                 } else if (p !== 'chain_md5' && p !== 'onerror_md5') {
                     theJob[p] = wf[p];
                 }
             }
 
-            return backend.validateJobTarget(theJob, function (err) {
+            theJob.queue = j.queue || wf.queue || DEFAULT_QUEUE;
+
+            // Workflows created by backends without versions support:
+            if (typeof (theJob.workflow_version) !== 'number') {
+                delete theJob.workflow_version;
+            }
+
+            if (wf.params_schema) {
+                applySchemaDefaults(theJob.params, wf.params_schema);
+                var violations = validateParams(theJob.params,
+                        wf.params_schema);
+                if (violations.length) {
+                    return callback('Job params do not match the workflow ' +
+                        'params_schema: ' + violations.join(', '));
+                }
+            }
+
+            // The backend takes care of blocking the job when needed, if it
+            // can. Otherwise, conflicting jobs are rejected as usual:
+            function validateJobTarget(cb) {
+                if (theJob.on_conflict === 'wait' && backend.blocks_jobs) {
+                    return cb(null);
+                }
+                return backend.validateJobTarget(theJob, cb);
+            }
+
+            // Every job the job depends on must exist:
+            function validateDependencies(cb) {
+                vasync.forEachPipeline({
+                    inputs: theJob.depends_on || [],
+                    func: function (d, next) {
+                        backend.getJob(d, next);
+                    }
+                }, cb);
+            }
+
+            return validateJobTarget(function (err) {
                 if (err) {
                     return callback(err);
-                } else {
-                    return backend.createJob(theJob, function (err, results) {
-                        if (err) {
-                            return callback(err);
+                }
+                return validateDependencies(function (err2) {
+                    if (err2) {
+                        return callback(err2);
+                    }
+                    return backend.createJob(theJob, function (err3, results) {
+                        if (err3) {
+                            return callback(err3);
                         } else {
                             return callback(null, theJob);
                         }
                     });
+                });
+            });
+        });
+    }
+
+    // Create a schedule to queue jobs from the given Workflow on a recurring
+    // basis:
+    //
+    // - s - the Schedule object:
+    //   - cron - (required) String, cron expression with the five usual
+    //            fields (minute hour day-of-month month day-of-week) or one
+    //            of '@hourly', '@daily', '@weekly', '@monthly', '@yearly'.
+    //            Always evaluated in UTC.
+    //   - workflow - (required) UUID of Workflow object to create the jobs
+    //                from.
+    //   - name - (opt) String, schedule name.
+    //   - params - (opt) JSON object, parameters to pass to every job.
+    //   - target - (opt) String, target of every job.
+    //   - catch_up - (opt) what to do with runs missed while no runner was
+    //                able to queue them: 'last' (default) queues a single job
+    //                for the most recent missed run, 'all' queues a job for
+    //                every missed run and 'skip' queues none of them.
+    // - opts - Object, any additional information to be passed to the backend
+    //          when creating a schedule object which are not schedule
+    //          properties, like HTTP request ID or other meta information.
+    // - callback - f(err, schedule)
+    function schedule(s, opts, callback) {
+        var theSchedule = {};
+        var nextRun;
+        var p;
+
+        if (typeof (opts) === 'function') {
+            callback = opts;
+            opts = {};
+        }
+
+        if (!s.workflow) {
+            return callback('"s.workflow" is required');
+        }
+
+        if (!s.cron) {
+            return callback('"s.cron" is required');
+        }
+
+        try {
+            nextRun = cron.next(s.cron);
+        } catch (e) {
+            return callback(e.message);
+        }
+
+        if (!nextRun) {
+            return callback('Cron expression "' + s.cron +
+                    '" never matches');
+        }
+
+        if (typeof (s.catch_up) === 'undefined') {
+            s.catch_up = 'last';
+        } else if (CATCH_UP_POLICIES.indexOf(s.catch_up) === -1) {
+            return callback('"s.catch_up" must be one of "' +
+                    CATCH_UP_POLICIES.join('", "') + '"');
+        }
+
+        if (typeof (s.params) !== 'undefined' &&
+                (typeof (s.params) !== 'object' || s.params === null ||
+                 util.isArray(s.params))) {
+            return callback('"s.params" must be an object');
+        }
+
+        return backend.getWorkflow(s.workflow, function (err, wf) {
+            if (err) {
+                return callback(err);
+            }
+
+            for (p in s) {
+                theSchedule[p] = s[p];
+            }
+
+            if (!theSchedule.params) {
+                theSchedule.params = {};
+            }
+
+            if (!theSchedule.uuid) {
+                theSchedule.uuid = uuid();
+            }
+
+            theSchedule.workflow = wf.uuid;
+            theSchedule.created_at = new Date().toISOString();
+            theSchedule.next_run_at = nextRun.toISOString();
+            theSchedule.last_run_at = null;
+
+            return backend.createSchedule(theSchedule, opts,
+                function (err2) {
+                if (err2) {
+                    return callback(err2);
                 }
+                return callback(null, theSchedule);
             });
         });
     }
 
+    // Create a new attempt of the given job, from the same workflow version
+    // and with the same params, target, priority and queue. Both jobs are
+    // linked through their `prev_attempt` and `next_attempt` properties:
+    //
+    // - oldJob - the Job object to retry.
+    // - opts - Object, optional:
+    //   - params - (opt) Object, params overriding the ones of the job.
+    //   - exec_after - (opt) ISO 8601 Date, delay the new job execution
+    //                  after the given timestamp (execute from now when not
+    //                  given).
+    //   - force - (opt) Boolean, retry the job even when its `max_attempts`
+    //             have been reached.
+    // - callback - f(err, job)
+    function retry(oldJob, opts, callback) {
+        var retryParams;
+        var p;
+
+        if (typeof (opts) === 'function') {
+            callback = opts;
+            opts = {};
+        }
+
+        if (!opts.force && oldJob.num_attempts + 1 >= oldJob.max_attempts) {
+            return callback(
+              'Max attempts reached. Last attempt: ' + oldJob.uuid);
+        }
+
+        if (typeof (opts.params) !== 'undefined' &&
+                (typeof (opts.params) !== 'object' || opts.params === null ||
+                 util.isArray(opts.params))) {
+            return callback('"params" must be an object');
+        }
+
+        if (typeof (opts.exec_after) !== 'undefined' &&
+                isNaN(new Date(opts.exec_after).getTime())) {
+            return callback('"exec_after" must be an ISO 8601 date');
+        }
+
+        retryParams = {
+            workflow: oldJob.workflow_uuid,
+            params: clone(oldJob.params || {}),
+            target: oldJob.target,
+            num_attempts: (oldJob.num_attempts || 0) + 1,
+            priority: oldJob.priority,
+            queue: oldJob.queue
+        };
+
+        for (p in opts.params) {
+            retryParams.params[p] = opts.params[p];
+        }
+
+        if (opts.exec_after) {
+            retryParams.exec_after = new Date(opts.exec_after).toISOString();
+        }
+
+        if (oldJob.parent_job) {
+            retryParams.parent_job = oldJob.parent_job;
+        }
+
+        // Retries run the same workflow version than the original job, when
+        // the backend can retrieve it:
+        if (oldJob.workflow_version &&
+                typeof (backend.getWorkflowVersion) === 'function') {
+            retryParams.workflow_version = oldJob.workflow_version;
+        }
+
+        return job(retryParams, function (err, newJob) {
+            if (err) {
+                return callback(err);
+            }
+            // Update the old job with the next job's uuid and update the
+            // new job with the old job's uuid.
+            return backend.updateJobProperty(
+                oldJob.uuid,
+                'next_attempt',
+                newJob.uuid,
+                function (err2) {
+                    if (err2) {
+                        return callback(err2);
+                    }
+                    return backend.updateJobProperty(
+                        newJob.uuid,
+                        'prev_attempt',
+                        oldJob.uuid,
+                        function (err3) {
+                            if (err3) {
+                                return callback(err3);
+                            }
+                            newJob.prev_attempt = oldJob.uuid;
+                            return callback(null, newJob);
+                        });
+                });
+        });
+    }
+
     return {
         workflow: workflow,
-        job: job
+        job: job,
+        retry: retry,
+        schedule: schedule
     };
 };
+
+// Exposed so workflow updates can be checked the same way than new workflows:
+WorkflowFactory.checkParamsSchema = checkParamsSchema;
@@ -8,6 +8,9 @@ var e = require('./errors');
 var clone = require('clone');
 var sprintf = util.format;
 
+// Executions of the jobs which will not run again:
+var FINISHED_EXECUTIONS = ['succeeded', 'failed', 'canceled', 'retried'];
+
 // Returns true when "obj" (Object) has all the properties "kv" (Object) has,
 // and with exactly the same values, otherwise, false
 function hasPropsAndVals(obj, kv) {
@@ -49,17 +52,104 @@ var Backend = module.exports = function (config) {
     }
 
     var workflows = null;
+    // Every version of each workflow, by workflow uuid:
+    var workflow_versions = null;
     var jobs = null;
     var runners = null;
     var queued_jobs = null;
     var waiting_jobs = null;
+    // Queued jobs whose `exec_after` is still in the future, sorted by
+    // `exec_after`. They're moved into `queued_jobs` once due:
+    var delayed_jobs = null;
+    // Jobs created with `on_conflict: 'wait'` waiting for the jobs blocking
+    // them to finish, in creation order:
+    var blocked_jobs = null;
     var locked_targets = {};
+    // Uuid of the last job created with each idempotency key:
+    var idempotency_keys = null;
+    var schedules = null;
+    // Queued jobs get their priority raised by one every `priority_aging`
+    // seconds they wait to run, so jobs with low priority are never starved.
+    // Zero disables aging:
+    var priority_aging = (typeof (config.priority_aging) === 'number') ?
+        config.priority_aging * 1000 : 60000;
+
+    function _execAfter(job) {
+        return (new Date(job.exec_after || job.created_at).getTime() || 0);
+    }
+
+    // Priority of a queued job, including aging:
+    function _jobPriority(job, now) {
+        var waited = now - _execAfter(job);
+        var priority = job.priority || 0;
+
+        if (priority_aging > 0 && waited > 0) {
+            priority += Math.floor(waited / priority_aging);
+        }
+        return priority;
+    }
+
+    // Jobs created before queues existed belong to the default queue:
+    function _jobQueue(job) {
+        return (job.queue || 'default');
+    }
 
-    function _lockedTargets() {
-        var targets = Object.keys(locked_targets).map(function (t) {
-            return locked_targets[t];
+    function _runningJobs() {
+        return Object.keys(jobs).filter(function (uuid) {
+            return (jobs[uuid].execution === 'running');
+        }).map(function (uuid) {
+            return jobs[uuid];
+        });
+    }
+
+    // Would running the given job exceed the concurrency limits of its
+    // workflow (`max_concurrency`) or its target (`serialize_target`)?
+    // - job - the job object.
+    // - running - Array of the running jobs.
+    function _exceedsConcurrency(job, running) {
+        var others = running.filter(function (r) {
+            return (r.uuid !== job.uuid);
+        });
+
+        if (job.max_concurrency && others.filter(function (r) {
+            return (r.workflow_uuid === job.workflow_uuid);
+        }).length >= job.max_concurrency) {
+            return true;
+        }
+
+        if (job.serialize_target && job.target && others.some(function (r) {
+            return (r.target === job.target);
+        })) {
+            return true;
+        }
+
+        return false;
+    }
+
+    // Queued jobs uuids, by priority then by exec_after. When `queues` is
+    // given, only the jobs of these queues are returned. Jobs which cannot
+    // run yet due to concurrency limits are left out:
+    function _queuedJobs(queues) {
+        var now = Date.now();
+        var running = _runningJobs();
+
+        return queued_jobs.filter(function (uuid) {
+            return ((!queues ||
+                queues.indexOf(_jobQueue(jobs[uuid])) !== -1) &&
+                !_exceedsConcurrency(jobs[uuid], running));
+        }).map(function (uuid, i) {
+            return {
+                uuid: uuid,
+                priority: _jobPriority(jobs[uuid], now),
+                exec_after: _execAfter(jobs[uuid]),
+                index: i
+            };
+        }).sort(function (a, b) {
+            return ((b.priority - a.priority) ||
+                (a.exec_after - b.exec_after) || (a.index - b.index));
+        }).map(function (q) {
+            return q.uuid;
         });
-        return targets;
     }
 
     function _wfNames() {
@@ -76,6 +166,211 @@ var Backend = module.exports = function (config) {
         return wf_job_targets;
     }
 
+    function _isFinished(job) {
+        return (FINISHED_EXECUTIONS.indexOf(job.execution) !== -1);
+    }
+
+    // Get the job a job depending on the given uuid has to wait for. Retried
+    // jobs are superseded by their next attempt, once created:
+    function _dependency(uuid) {
+        var job = jobs[uuid];
+
+        while (job && job.execution === 'retried' && job.next_attempt &&
+                jobs[job.next_attempt]) {
+            job = jobs[job.next_attempt];
+        }
+        return job;
+    }
+
+    // Retried jobs whose next attempt has not been created yet are not done:
+    function _isDependencyDone(job) {
+        return (_isFinished(job) && job.execution !== 'retried');
+    }
+
+    // Get the first job the given job depends on (or its last attempt) which
+    // finished without the outcome required by the job, if any:
+    function _failedDependency(job) {
+        var failed = null;
+
+        if (job.depends_on_outcome === 'finished') {
+            return failed;
+        }
+
+        (job.depends_on || []).some(function (uuid) {
+            var dep = _dependency(uuid);
+            if (dep && _isDependencyDone(dep) &&
+                    dep.execution !== 'succeeded') {
+                failed = dep.uuid;
+            }
+            return (failed !== null);
+        });
+        return failed;
+    }
+
+    // Get the jobs which prevent the given job from being queued, either
+    // because the job depends on them and they are not finished yet (reason
+    // 'depends_on'), because their `locks` match the job target (reason
+    // 'locks'), or because they have the same target and params and are not
+    // finished yet (reason 'target').
+    // Returns an Array of {job_uuid, reason} objects, even empty.
+    function _blockingJobs(job) {
+        var blocking = [];
+
+        (job.depends_on || []).forEach(function (uuid) {
+            var dep = _dependency(uuid);
+            if (dep && !_isDependencyDone(dep)) {
+                blocking.push({
+                    job_uuid: uuid,
+                    reason: 'depends_on'
+                });
+            }
+        });
+
+        // If no target is given, we don't care:
+        if (!job.target) {
+            return blocking;
+        }
+
+        Object.keys(locked_targets).forEach(function (uuid) {
+            var re = new RegExp(locked_targets[uuid]);
+            if (uuid !== job.uuid && re.test(job.target)) {
+                blocking.push({
+                    job_uuid: uuid,
+                    reason: 'locks'
+                });
+            }
+        });
+
+        // Jobs with serialized targets wait for each other to run:
+        if (job.serialize_target ||
+            _jobTargets().indexOf(job.target) === -1) {
+            return blocking;
+        }
+
+        Object.keys(jobs).filter(function (uuid) {
+            return (
+              uuid !== job.uuid &&
+              jobs[uuid].target === job.target &&
+              Object.keys(job.params).every(function (p) {
+                return (jobs[uuid].params[p] &&
+                  jobs[uuid].params[p] === job.params[p]);
+            }) &&
+              (jobs[uuid].execution === 'queued' ||
+               jobs[uuid].execution === 'running'));
+        }).forEach(function (uuid) {
+            blocking.push({
+                job_uuid: uuid,
+                reason: 'target'
+            });
+        });
+
+        return blocking;
+    }
+
+    // Jobs a blocked job waits for: the jobs it depends on and, when its
+    // `on_conflict` is 'wait', the jobs conflicting with its target:
+    function _waitingFor(job) {
+        return _blockingJobs(job).filter(function (b) {
+            return (b.reason === 'depends_on' || job.on_conflict === 'wait');
+        });
+    }
+
+    // Add the job to the queued jobs, and let runners know there is new work,
+    // emitting 'job:queued' with the job uuid and queue. Jobs which are not
+    // due yet are added to the delayed jobs instead:
+    function _enqueue(job) {
+        var exec_after = _execAfter(job);
+        var i;
+
+        if (exec_after > Date.now()) {
+            // Right after the delayed jobs due at the same time or before:
+            for (i = delayed_jobs.length; i > 0; i--) {
+                if (_execAfter(jobs[delayed_jobs[i - 1]]) <= exec_after) {
+                    break;
+                }
+            }
+            delayed_jobs.splice(i, 0, job.uuid);
+            return;
+        }
+
+        queued_jobs.push(job.uuid);
+        backend.emit('job:queued', {
+            uuid: job.uuid,
+            queue: _jobQueue(job)
+        });
+    }
+
+    // Move the delayed jobs which are due into the queued jobs, unless they
+    // were canceled meanwhile:
+    function _queueDueJobs() {
+        var now = Date.now();
+        var job;
+
+        while (delayed_jobs.length &&
+                _execAfter(jobs[delayed_jobs[0]]) <= now) {
+            job = jobs[delayed_jobs.shift()];
+            if (job.execution === 'queued') {
+                _enqueue(job);
+            }
+        }
+    }
+
+    // Remove the job from both the queued and the delayed jobs:
+    function _dequeue(uuid) {
+        queued_jobs = queued_jobs.filter(function (u) {
+            return (u !== uuid);
+        });
+        delayed_jobs = delayed_jobs.filter(function (u) {
+            return (u !== uuid);
+        });
+    }
+
+    // Queue every blocked job which is not blocked by other jobs anymore,
+    // in the order they were created, and cancel the jobs depending on jobs
+    // which did not finish as required:
+    function _releaseBlockedJobs() {
+        var canceled;
+
+        function release(uuid) {
+            var job = jobs[uuid];
+            var failed;
+            // Canceled while blocked:
+            if (!job || job.execution !== 'blocked') {
+                return false;
+            }
+
+            failed = _failedDependency(job);
+            if (failed) {
+                job.execution = 'canceled';
+                job.canceled_by = failed;
+                log.info('Job %s canceled, job %s it depends on is %s',
+                    uuid, failed, jobs[failed].execution);
+                canceled = true;
+                return false;
+            }
+
+            job.blocked_by = _waitingFor(job);
+            if (job.blocked_by.length !== 0) {
+                return true;
+            }
+
+            delete job.blocked_by;
+            job.execution = 'queued';
+            _enqueue(job);
+            if (typeof (job.locks) !== 'undefined') {
+                locked_targets[uuid] = job.locks;
+            }
+            log.info('Job %s released', uuid);
+            return false;
+        }
+
+        // Canceling a job may cancel the jobs depending on it in turn:
+        do {
+            canceled = false;
+            blocked_jobs = blocked_jobs.filter(release);
+        } while (canceled);
+    }
+
     function getJob(uuid, meta, callback) {
         if (typeof (meta) === 'function') {
             callback = meta;
@@ -113,12 +408,23 @@ var Backend = module.exports = function (config) {
 
     var backend = {
         log: log,
+        // Runners do not need to poll for new jobs as often as usual, since
+        // we emit 'job:queued' every time a job is queued:
+        notifies: true,
+        // Jobs which cannot be queued yet are kept 'blocked' until they can
+        // (see `on_conflict` and `depends_on` job properties):
+        blocks_jobs: true,
         init: function init(callback) {
             workflows = {};
+            workflow_versions = {};
             jobs = {};
             runners = {};
             queued_jobs = [];
+            delayed_jobs = [];
             waiting_jobs = [];
+            blocked_jobs = [];
+            idempotency_keys = {};
+            schedules = {};
             return callback();
         },
 
@@ -139,7 +445,11 @@ var Backend = module.exports = function (config) {
                   'Workflow.name must be unique. A workflow with name "' +
                   workflow.name + '" already exists'));
             } else {
+                if (typeof (workflow.version) !== 'number') {
+                    workflow.version = 1;
+                }
                 workflows[workflow.uuid] = clone(workflow);
+                workflow_versions[workflow.uuid] = [clone(workflow)];
                 return callback(null, workflow);
             }
         },
@@ -173,12 +483,69 @@ var Backend = module.exports = function (config) {
             }
 
             if (workflows[workflow.uuid]) {
+                delete workflow_versions[workflow.uuid];
                 return callback(null, (delete workflows[workflow.uuid]));
             } else {
                 return callback(null, false);
             }
         },
 
+        // Get a given version of a workflow.
+        // uuid - Workflow.uuid
+        // version - Integer, the workflow version
+        // meta - Any additional information to pass to the backend which is not
+        //        workflow properties
+        // callback - f(err, workflow)
+        getWorkflowVersion: function getWorkflowVersion(
+            uuid,
+            version,
+            meta,
+            callback)
+        {
+            if (typeof (meta) === 'function') {
+                callback = meta;
+                meta = {};
+            }
+
+            var versions = workflow_versions[uuid] || [];
+            var found = versions.filter(function (wf) {
+                return (wf.version === version);
+            });
+
+            if (found.length) {
+                return callback(null, clone(found[0]));
+            } else {
+                return callback(new e.BackendResourceNotFoundError(sprintf(
+                  'Workflow with uuid \'%s\' and version \'%s\' does not ' +
+                  'exist', uuid, version)));
+            }
+        },
+
+        // Get every version of a workflow, oldest first.
+        // uuid - Workflow.uuid
+        // meta - Any additional information to pass to the backend which is not
+        //        workflow properties
+        // callback - f(err, workflows)
+        getWorkflowVersions: function getWorkflowVersions(
+            uuid,
+            meta,
+            callback)
+        {
+            if (typeof (meta) === 'function') {
+                callback = meta;
+                meta = {};
+            }
+
+            if (workflow_versions[uuid]) {
+                return callback(null, clone(workflow_versions[uuid]));
+            } else {
+                return callback(new e.BackendResourceNotFoundError(sprintf(
+                  'Workflow with uuid \'%s\' does not exist', uuid)));
+            }
+        },
+
+        // Workflows are never modified in place. Updating a workflow creates a
+        // new version of it, which becomes the workflow latest version.
         // workflow - update workflow object.
         // meta - Any additional information to pass to the backend which is not
         //        workflow properties
@@ -196,7 +563,10 @@ var Backend = module.exports = function (config) {
                       'Workflow.name must be unique. A workflow with name "' +
                       workflow.name + '" already exists'));
                 } else {
+                    workflow.version =
+                        (workflows[workflow.uuid].version || 1) + 1;
                     workflows[workflow.uuid] = clone(workflow);
+                    workflow_versions[workflow.uuid].push(clone(workflow));
                     return callback(null, workflow);
                 }
             } else {
@@ -205,19 +575,48 @@ var Backend = module.exports = function (config) {
             }
         },
 
+        // When the job `depends_on` unfinished jobs, or has `on_conflict:
+        // 'wait'` and other jobs block its target (see `validateJobTarget`),
+        // the job is saved with 'blocked' execution and the list of jobs
+        // blocking it as `blocked_by`, instead of being queued. It's queued
+        // once none of these jobs blocks it, or canceled when a job it
+        // depends on finishes without the `depends_on_outcome` required.
         // job - Job object
         // meta - Any additional information to pass to the backend which is not
         //        job properties
         // callback - f(err, job)
         createJob: function createJob(job, meta, callback) {
+            var failed;
+
             if (typeof (meta) === 'function') {
                 callback = meta;
                 meta = {};
             }
 
             job.created_at = job.created_at || new Date().toISOString();
+            if (job.idempotency_key) {
+                idempotency_keys[job.idempotency_key] = job.uuid;
+            }
+
+            failed = _failedDependency(job);
+            if (failed) {
+                job.execution = 'canceled';
+                job.canceled_by = failed;
+                jobs[job.uuid] = clone(job);
+                return callback(null, job);
+            }
+
+            job.blocked_by = _waitingFor(job);
+            if (job.blocked_by.length !== 0) {
+                job.execution = 'blocked';
+                jobs[job.uuid] = clone(job);
+                blocked_jobs.push(job.uuid);
+                return callback(null, job);
+            }
+            delete job.blocked_by;
+
             jobs[job.uuid] = clone(job);
-            queued_jobs.push(job.uuid);
+            _enqueue(job);
             if (typeof (job.locks) !== 'undefined') {
                 locked_targets[job.uuid] = job.locks;
             }
@@ -230,6 +629,47 @@ var Backend = module.exports = function (config) {
         // callback - f(err, job)
         getJob: getJob,
 
+        // Get the jobs the given job depends on, and the jobs depending on
+        // the given job.
+        // uuid - Job uuid.
+        // callback - f(err, deps), where deps is an object with `depends_on`
+        //            and `dependents` members, both lists of {uuid, execution}
+        //            objects.
+        getJobDependencies: function getJobDependencies(uuid, callback) {
+            if (!jobs[uuid]) {
+                return callback(new e.BackendResourceNotFoundError(sprintf(
+                  'Job with uuid \'%s\' does not exist', uuid)));
+            }
+
+            function node(u) {
+                return {
+                    uuid: u,
+                    execution: jobs[u] ? jobs[u].execution : undefined
+                };
+            }
+
+            return callback(null, {
+                depends_on: (jobs[uuid].depends_on || []).map(node),
+                dependents: Object.keys(jobs).filter(function (u) {
+                    return (jobs[u].depends_on &&
+                        jobs[u].depends_on.indexOf(uuid) !== -1);
+                }).map(node)
+            });
+        },
+
+        // Get the last job created with the given idempotency key.
+        // key - String, the job `idempotency_key`.
+        // callback - f(err, job), job is null when there's no such job.
+        getJobByIdempotencyKey: function getJobByIdempotencyKey(key,
+            callback) {
+            var uuid = idempotency_keys[key];
+
+            if (uuid && jobs[uuid]) {
+                return callback(null, clone(jobs[uuid]));
+            }
+            return callback(null, null);
+        },
+
         // Get a single job property
         // uuid - Job uuid.
         // prop - (String) property name
@@ -247,38 +687,18 @@ var Backend = module.exports = function (config) {
         // callback - f(err) called with error in case there is a duplicated
         // job with the same target and same params
         validateJobTarget: function validateJobTarget(job, callback) {
-            // If no target is given, we don't care:
-            if (!job.target) {
-                return callback(null);
-            }
-
-            var locked = _lockedTargets().some(function (r) {
-                var re = new RegExp(r);
-                return (re.test(job.target));
-            });
+            var blocking = _blockingJobs(job);
 
-            if (locked) {
+            if (blocking.some(function (b) {
+                return (b.reason === 'locks');
+            })) {
                 return callback(new e.BackendInvalidArgumentError(
                     'Job target is currently locked by another job'));
             }
 
-            if (_jobTargets().indexOf(job.target) === -1) {
-                return callback(null);
-            }
-
-            var filtered = Object.keys(jobs).filter(function (uuid) {
-                return (
-                  uuid !== job.uuid &&
-                  jobs[uuid].target === job.target &&
-                  Object.keys(job.params).every(function (p) {
-                    return (jobs[uuid].params[p] &&
-                      jobs[uuid].params[p] === job.params[p]);
-                }) &&
-                  (jobs[uuid].execution === 'queued' ||
-                   jobs[uuid].execution === 'running'));
-            });
-
-            if (filtered.length !== 0) {
+            if (blocking.some(function (b) {
+                return (b.reason === 'target');
+            })) {
                 return callback(new e.BackendInvalidArgumentError(
                   'Another job with the same target' +
                   ' and params is already queued'));
@@ -287,7 +707,8 @@ var Backend = module.exports = function (config) {
             }
         },
 
-        // Get the next queued job.
+        // Get the next queued job. Queued jobs are sorted by priority, then
+        // by exec_after. Jobs which are not due yet are left out.
         // index - Integer, optional. When given, it'll get the job at index
         //         position (when not given, it'll return the job at position
         //         zero).
@@ -298,11 +719,12 @@ var Backend = module.exports = function (config) {
                 index = 0;
             }
 
+            _queueDueJobs();
             if (queued_jobs.length === 0) {
                 return callback(null, null);
             }
 
-            var slice = queued_jobs.slice(index, index + 1);
+            var slice = _queuedJobs().slice(index, index + 1);
 
             if (slice.length === 0) {
                 return callback(null, null);
@@ -317,16 +739,28 @@ var Backend = module.exports = function (config) {
         // runner_id - the runner identifier (String)
         // callback - f(err, job) callback will be called with error if
         //            something fails, otherwise it'll return the updated job
-        //            using getJob.
+        //            using getJob. When running the job would exceed the
+        //            concurrency limits of its workflow or target, the job
+        //            remains queued and `job` is null.
         runJob: function runJob(uuid, runner_id, callback) {
+            _queueDueJobs();
             var idx = queued_jobs.indexOf(uuid);
             if (idx === -1) {
                 return callback(new e.BackendPreconditionFailedError(
                   'Only queued jobs can be run'));
+            } else if (jobs[uuid].execution !== 'queued') {
+                // Job has been canceled while queued:
+                queued_jobs.splice(idx, 1);
+                return callback(new e.BackendPreconditionFailedError(
+                  'Only queued jobs can be run'));
+            } else if (_exceedsConcurrency(jobs[uuid], _runningJobs())) {
+                return callback(null, null);
             } else {
                 queued_jobs.splice(idx, 1);
                 jobs[uuid].runner_id = runner_id;
                 jobs[uuid].execution = 'running';
+                // The runner takes a new lease once it starts running the job:
+                delete jobs[uuid].lease;
                 return callback(null, clone(jobs[uuid]));
             }
         },
@@ -359,6 +793,7 @@ var Backend = module.exports = function (config) {
                 if (typeof (job.locks) !== 'undefined') {
                     delete locked_targets[job.uuid];
                 }
+                _releaseBlockedJobs();
                 return callback(null, job);
             }
         },
@@ -402,6 +837,7 @@ var Backend = module.exports = function (config) {
             if (typeof (jobs[uuid].locks) !== 'undefined') {
                 delete locked_targets[uuid];
             }
+            _releaseBlockedJobs();
             return cb(null, jobs[uuid]);
         },
 
@@ -433,6 +869,21 @@ var Backend = module.exports = function (config) {
                   'Job with uuid \'%s\' does not exist', uuid)));
             } else {
                 jobs[uuid][prop] = val;
+                // Jobs canceled through the API no longer block others:
+                if (prop === 'execution' && val === 'canceled') {
+                    delete locked_targets[uuid];
+                    _releaseBlockedJobs();
+                }
+                // Retried jobs are superseded by their next attempt:
+                if (prop === 'next_attempt') {
+                    _releaseBlockedJobs();
+                }
+                // Queued jobs rescheduled through the API:
+                if (prop === 'exec_after' &&
+                        jobs[uuid].execution === 'queued') {
+                    _dequeue(uuid);
+                    _enqueue(jobs[uuid]);
+                }
                 return callback(null);
             }
         },
@@ -456,7 +907,7 @@ var Backend = module.exports = function (config) {
                 job.runner_id = null;
                 job.execution = 'queued';
                 jobs[job.uuid] = clone(job);
-                queued_jobs.push(job.uuid);
+                _enqueue(job);
                 return callback(null, job);
             }
         },
@@ -479,8 +930,14 @@ var Backend = module.exports = function (config) {
             } else {
                 job.runner_id = null;
                 job.execution = 'waiting';
+                // Keep the signals sent while the job was running:
+                if (jobs[job.uuid].signals) {
+                    job.signals = jobs[job.uuid].signals;
+                }
                 jobs[job.uuid] = clone(job);
                 waiting_jobs.push(job.uuid);
+                // Waiting jobs no longer block the jobs with the same target:
+                _releaseBlockedJobs();
                 return callback(null, job);
             }
         },
@@ -506,21 +963,30 @@ var Backend = module.exports = function (config) {
                 waiting_jobs = waiting_jobs.filter(function (j) {
                     return (j !== job.uuid);
                 });
-                queued_jobs.push(job.uuid);
+                _enqueue(job);
                 return callback(null, job);
             }
         },
 
-        // Get the given number of queued jobs uuids.
+        // Get the given number of queued jobs uuids, sorted by priority, then
+        // by exec_after. Jobs which are not due yet are never retrieved.
         // - start - Integer - Position of the first job to retrieve
         // - stop - Integer - Position of the last job to retrieve, _included_
+        // - queues - Array of queue names, optional. When given, only jobs
+        //   from these queues are retrieved.
         // - callback - f(err, jobs)
-        nextJobs: function nextJobs(start, stop, callback) {
+        nextJobs: function nextJobs(start, stop, queues, callback) {
+            if (typeof (queues) === 'function') {
+                callback = queues;
+                queues = null;
+            }
+
+            _queueDueJobs();
             if (queued_jobs.length === 0) {
                 return callback(null, null);
             }
 
-            var slice = queued_jobs.slice(start, stop + 1);
+            var slice = _queuedJobs(queues).slice(start, stop + 1);
 
             if (slice.length === 0) {
                 return callback(null, null);
@@ -618,6 +1084,51 @@ var Backend = module.exports = function (config) {
             return callback(null, wf_runner_jobs);
         },
 
+        // Take or renew the lease of a running job. The lease is owned by the
+        // runner running the job and, unless renewed, expires after the given
+        // duration, when any runner may reclaim the job.
+        // - uuid - String, the job's UUID.
+        // - runner_id - String, unique identifier for runner.
+        // - duration - Integer, milliseconds from now until the lease expires.
+        // - callback - f(err, lease). `lease` is an object with the lease
+        //   `owner`, its `expires_at` time and the number of `renewals`.
+        //   Fails when the job is not owned by the given runner anymore.
+        renewJobLease: function renewJobLease(uuid, runner_id, duration,
+            callback) {
+            var lease;
+
+            if (!jobs[uuid]) {
+                return callback(new e.BackendResourceNotFoundError(sprintf(
+                  'Job with uuid \'%s\' does not exist', uuid)));
+            } else if (jobs[uuid].runner_id !== runner_id) {
+                return callback(new e.BackendPreconditionFailedError(
+                  'Job lease is owned by another runner'));
+            }
+
+            lease = jobs[uuid].lease;
+            jobs[uuid].lease = {
+                owner: runner_id,
+                expires_at: new Date(Date.now() + duration).toISOString(),
+                renewals: (lease && lease.owner === runner_id) ?
+                    lease.renewals + 1 : 0
+            };
+            return callback(null, clone(jobs[uuid].lease));
+        },
+
+        // Get running jobs whose lease has expired.
+        // - callback - f(err, jobs). `jobs` is an array of job's UUIDs.
+        //   Note `jobs` will be an array, even when empty.
+        getExpiredLeaseJobs: function getExpiredLeaseJobs(callback) {
+            var now = Date.now();
+            var expired = Object.keys(jobs).filter(function (uuid) {
+                var lease = jobs[uuid].lease;
+                return (jobs[uuid].execution === 'running' && lease &&
+                    new Date(lease.expires_at).getTime() <= now);
+            });
+
+            return callback(null, expired);
+        },
+
         // Get all the workflows:
         // - params - JSON Object (Optional). Can include the value of the
         //  workflow's "name", and any other key/value pair to search for
@@ -658,7 +1169,8 @@ var Backend = module.exports = function (config) {
                 'canceled',
                 'running',
                 'retried',
-                'waiting'
+                'waiting',
+                'blocked'
             ];
             var execution;
             var offset;
@@ -723,7 +1235,8 @@ var Backend = module.exports = function (config) {
                 'canceled',
                 'running',
                 'retried',
-                'waiting'
+                'waiting',
+                'blocked'
             ];
 
             var rJobs = [];
@@ -731,7 +1244,9 @@ var Backend = module.exports = function (config) {
                 all_time: {},
                 past_24h: {},
                 past_hour: {},
-                current: {}
+                current: {},
+                // Number of queued jobs on each queue:
+                queues: {}
             };
 
             executions.forEach(function (e) {
@@ -760,6 +1275,16 @@ var Backend = module.exports = function (config) {
                 return d;
             })(new Date()).getTime();
 
+            rJobs.forEach(function (job) {
+                var queue = _jobQueue(job);
+                if (typeof (stats.queues[queue]) === 'undefined') {
+                    stats.queues[queue] = 0;
+                }
+                if (job.execution === 'queued') {
+                    stats.queues[queue] += 1;
+                }
+            });
+
             rJobs = rJobs.map(function (job) {
                 return ({
                     execution: job.execution,
@@ -825,6 +1350,97 @@ var Backend = module.exports = function (config) {
                 }
                 return callback(null, clone(jobs[uuid].info));
             }
+        },
+
+        // schedule - Schedule object
+        // meta - Any additional information to pass to the backend which is not
+        //        schedule properties
+        // callback - f(err, schedule)
+        createSchedule: function createSchedule(schedule, meta, callback) {
+            if (typeof (meta) === 'function') {
+                callback = meta;
+                meta = {};
+            }
+
+            if (schedules[schedule.uuid]) {
+                return callback(new e.BackendInvalidArgumentError(sprintf(
+                  'Schedule with uuid \'%s\' already exists', schedule.uuid)));
+            }
+            schedules[schedule.uuid] = clone(schedule);
+            return callback(null, schedule);
+        },
+
+        // uuid - Schedule.uuid
+        // meta - Any additional information to pass to the backend which is not
+        //        schedule properties
+        // callback - f(err, schedule)
+        getSchedule: function getSchedule(uuid, meta, callback) {
+            if (typeof (meta) === 'function') {
+                callback = meta;
+                meta = {};
+            }
+
+            if (schedules[uuid]) {
+                return callback(null, clone(schedules[uuid]));
+            } else {
+                return callback(new e.BackendResourceNotFoundError(sprintf(
+                  'Schedule with uuid \'%s\' does not exist', uuid)));
+            }
+        },
+
+        // Get all the schedules:
+        // - params - JSON Object (Optional). Any key/value pair to search for
+        //   into schedule's definition, like "workflow".
+        // - callback - f(err, schedules)
+        getSchedules: function getSchedules(params, callback) {
+            if (typeof (params) === 'function') {
+                callback = params;
+                params = {};
+            }
+
+            var theSchedules = Object.keys(schedules).map(function (uuid) {
+                return clone(schedules[uuid]);
+            }).filter(function (schedule) {
+                return hasPropsAndVals(schedule, params);
+            });
+
+            return callback(null, theSchedules);
+        },
+
+        // schedule - the updated schedule object, usually with the time of its
+        //            last and next runs.
+        // meta - Any additional information to pass to the backend which is not
+        //        schedule properties
+        // callback - f(err, schedule)
+        updateSchedule: function updateSchedule(schedule, meta, callback) {
+            if (typeof (meta) === 'function') {
+                callback = meta;
+                meta = {};
+            }
+
+            if (!schedules[schedule.uuid]) {
+                return callback(new e.BackendResourceNotFoundError(
+                  'Schedule does not exist. Cannot Update.'));
+            }
+            schedules[schedule.uuid] = clone(schedule);
+            return callback(null, schedule);
+        },
+
+        // schedule - the schedule object
+        // meta - Any additional information to pass to the backend which is not
+        //        schedule properties
+        // callback - f(err, boolean)
+        deleteSchedule: function deleteSchedule(schedule, meta, callback) {
+            if (typeof (meta) === 'function') {
+                callback = meta;
+                meta = {};
+            }
+
+            if (schedules[schedule.uuid]) {
+                return callback(null, (delete schedules[schedule.uuid]));
+            } else {
+                return callback(null, false);
+            }
         }
 
     };
@@ -276,6 +276,7 @@ test('PUT /workflows/:uuid', function (t) {
         t.ok(util.isArray(obj.chain));
         t.equal(obj.chain.length, 2);
         t.ok(util.isArray(obj.onerror));
+        t.equal(obj.version, 2, 'workflow version');
         t.end();
     });
 });
@@ -522,6 +523,8 @@ test('GET /stats', function (t) {
         t.ok(obj.all_time);
         t.ok(obj.past_24h);
         t.ok(obj.past_hour);
+        t.equal(obj.queues['default'], obj.current.queued,
+            'default queue depth');
         t.end();
     });
 });
@@ -712,6 +715,796 @@ test('POST /jobs/:uuid/resume', function (t) {
 
 
 
+test('POST /jobs/:uuid/pause', function (t) {
+    var aJob;
+
+    t.test('with non running job', function (t) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'pause'
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            aJob = obj;
+            client.post('/jobs/' + aJob.uuid + '/pause', {},
+                function (err2, req2, res2, obj2) {
+                t.ok(err2);
+                t.equal(err2.statusCode, 409);
+                t.equal(obj2.message, 'Only running jobs can be paused');
+                t.end();
+            });
+        });
+    });
+
+    t.test('with running job', function (t) {
+        backend.runJob(aJob.uuid, uuid(), function (err) {
+            t.ifError(err);
+            client.post('/jobs/' + aJob.uuid + '/pause', {},
+                function (err2, req, res, obj) {
+                t.ifError(err2);
+                t.equal(res.statusCode, 200);
+                t.equal(obj.pause_requested, true);
+                t.end();
+            });
+        });
+    });
+
+    t.test('GET /jobs/:uuid lease', function (t) {
+        backend.getJob(aJob.uuid, function (err, job) {
+            t.ifError(err);
+            backend.renewJobLease(aJob.uuid, job.runner_id, 60000,
+                function (err2) {
+                t.ifError(err2);
+                client.get('/jobs/' + aJob.uuid,
+                    function (err3, req, res, obj) {
+                    t.ifError(err3);
+                    t.equal(obj.lease.owner, job.runner_id);
+                    t.equal(obj.lease.renewals, 0);
+                    t.ok(obj.lease.expires_at);
+                    t.end();
+                });
+            });
+        });
+    });
+
+    t.test('resume paused job', function (t) {
+        // What the runner does once the current task has finished:
+        backend.getJob(aJob.uuid, function (err, job) {
+            t.ifError(err);
+            job.chain_results = [ {
+                result: 'OK',
+                error: '',
+                name: job.chain[0].name
+            }];
+            // Leave the pause request around, like backends updating jobs
+            // in place would do if the runner did not clear it:
+            job.paused_at = new Date().toISOString();
+            backend.pauseJob(job, function (err2) {
+                t.ifError(err2);
+                client.post('/jobs/' + aJob.uuid + '/resume', {},
+                    function (err3, req, res, obj) {
+                    t.ifError(err3);
+                    t.equal(res.statusCode, 200);
+                    t.equal(obj.execution, 'queued');
+                    t.equal(obj.paused_at, undefined);
+                    t.notOk(obj.pause_requested, 'pause request cleared');
+                    t.equivalent(obj.chain_results, job.chain_results,
+                        'results untouched');
+                    backend.cancelJob(aJob.uuid, function (err4) {
+                        t.ifError(err4);
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+
+    t.end();
+});
+
+
+test('POST /jobs/:uuid/retry', function (t) {
+    var aJob, retried;
+    var execAfter = new Date(Date.now() + 3600000).toISOString();
+
+    t.test('with non finished job', function (t) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'retry'
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            aJob = obj;
+            client.post('/jobs/' + aJob.uuid + '/retry', {},
+                function (err2, req2, res2, obj2) {
+                t.ok(err2);
+                t.equal(err2.statusCode, 409);
+                t.equal(obj2.message, 'Only finished jobs can be retried');
+                t.end();
+            });
+        });
+    });
+
+    t.test('with max attempts reached', function (t) {
+        backend.runJob(aJob.uuid, uuid(), function (err, job) {
+            t.ifError(err);
+            job.execution = 'failed';
+            job.max_attempts = 1;
+            backend.finishJob(job, function (err2) {
+                t.ifError(err2);
+                client.post('/jobs/' + aJob.uuid + '/retry', {},
+                    function (err3, req, res, obj) {
+                    t.ok(err3);
+                    t.equal(err3.statusCode, 409);
+                    t.equal(obj.message,
+                        'Max attempts reached. Last attempt: ' + aJob.uuid);
+                    t.end();
+                });
+            });
+        });
+    });
+
+    t.test('with force', function (t) {
+        client.post('/jobs/' + aJob.uuid + '/retry', {
+            force: true,
+            exec_after: execAfter,
+            params: {
+                foo: 'overridden'
+            }
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 201);
+            t.equal(res.headers.location, '/jobs/' + obj.uuid);
+            t.equal(obj.execution, 'queued');
+            t.equal(obj.prev_attempt, aJob.uuid);
+            t.equal(obj.num_attempts, 1);
+            t.equal(obj.exec_after, execAfter);
+            t.equal(obj.params.foo, 'overridden');
+            retried = obj;
+            backend.getJob(aJob.uuid, function (err2, job) {
+                t.ifError(err2);
+                t.equal(job.next_attempt, retried.uuid);
+                t.end();
+            });
+        });
+    });
+
+    t.test('already retried', function (t) {
+        client.post('/jobs/' + aJob.uuid + '/retry', {force: true},
+            function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(obj.message, 'Job has been already retried by job ' +
+                retried.uuid);
+            backend.cancelJob(retried.uuid, function (err2) {
+                t.ifError(err2);
+                t.end();
+            });
+        });
+    });
+
+    t.end();
+});
+
+
+test('POST /jobs/:uuid/rerun', function (t) {
+    var failedJobs = [];
+    var reruns = [];
+
+    function createFailedJob(cb) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'rerun-' + failedJobs.length
+        }, function (err, req, res, obj) {
+            if (err) {
+                return cb(err);
+            }
+            return backend.runJob(obj.uuid, uuid(), function (err2, job) {
+                if (err2) {
+                    return cb(err2);
+                }
+                job.execution = 'failed';
+                job.hostname = 'set by the first task';
+                job.lease = {
+                    owner: job.runner_id,
+                    expires_at: new Date().toISOString(),
+                    renewals: 0
+                };
+                job.chain_results = [ {
+                    result: 'OK',
+                    error: '',
+                    name: 'A Task'
+                }, {
+                    result: '',
+                    error: 'boom',
+                    name: 'One more Task'
+                }];
+                return backend.finishJob(job, function (err3, theJob) {
+                    failedJobs.push(theJob);
+                    return cb(err3, theJob);
+                });
+            });
+        });
+    }
+
+    t.test('with non failed job', function (t) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'not failed'
+        }, function (err, req, res, aJob) {
+            t.ifError(err);
+            client.post('/jobs/' + aJob.uuid + '/rerun', {},
+                function (err2, req2, res2, obj) {
+                t.ok(err2);
+                t.equal(err2.statusCode, 409);
+                t.equal(obj.message, 'Only failed jobs can be rerun');
+                reruns.push(aJob);
+                t.end();
+            });
+        });
+    });
+
+    t.test('from the failed task', function (t) {
+        createFailedJob(function (err, job) {
+            t.ifError(err);
+            client.post('/jobs/' + job.uuid + '/rerun', {},
+                function (err2, req, res, obj) {
+                t.ifError(err2);
+                t.equal(res.statusCode, 201);
+                t.equal(res.headers.location, '/jobs/' + obj.uuid);
+                t.equal(obj.execution, 'queued');
+                t.equal(obj.prev_attempt, job.uuid);
+                t.equal(obj.num_attempts, 1);
+                t.equal(obj.chain_results.length, 1, 'results seeded');
+                t.equal(obj.chain_results[0].name, 'A Task');
+                t.equal(obj.hostname, 'set by the first task');
+                t.equivalent(obj.params, job.params);
+                t.ok(job.lease, 'failed job lease');
+                t.equal(obj.lease, undefined, 'lease not copied');
+                reruns.push(obj);
+                backend.getJob(job.uuid, function (err3, oldJob) {
+                    t.ifError(err3);
+                    t.equal(oldJob.next_attempt, obj.uuid);
+                    t.end();
+                });
+            });
+        });
+    });
+
+    t.test('already rerun', function (t) {
+        client.post('/jobs/' + failedJobs[0].uuid + '/rerun', {},
+            function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(obj.message, 'Job has been already retried by job ' +
+                reruns[1].uuid);
+            t.end();
+        });
+    });
+
+    t.test('with unexisting task', function (t) {
+        createFailedJob(function (err, job) {
+            t.ifError(err);
+            client.post('/jobs/' + job.uuid + '/rerun', {
+                from_task: 'Unexisting Task'
+            }, function (err2, req, res, obj) {
+                t.ok(err2);
+                t.equal(err2.statusCode, 409);
+                t.equal(obj.message, 'Task "Unexisting Task" does not exist');
+                t.end();
+            });
+        });
+    });
+
+    t.test('skipping the failed task', function (t) {
+        client.post('/jobs/' + failedJobs[1].uuid + '/rerun', {
+            from_task: 'One more Task',
+            skip_task: true
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(obj.chain_results.length, 2, 'results seeded');
+            t.equal(obj.chain_results[1].name, 'One more Task');
+            t.equal(obj.chain_results[1].result, 'Skipped');
+            t.equal(obj.chain_results[1].error, '');
+            reruns.push(obj);
+            t.end();
+        });
+    });
+
+    t.test('teardown', function (t) {
+        backend.cancelJob(reruns[0].uuid, function (err) {
+            t.ifError(err);
+            backend.cancelJob(reruns[1].uuid, function (err2) {
+                t.ifError(err2);
+                backend.cancelJob(reruns[2].uuid, function (err3) {
+                    t.ifError(err3);
+                    t.end();
+                });
+            });
+        });
+    });
+
+    t.end();
+});
+
+
+test('POST /jobs/:uuid/signals/:name', function (t) {
+    var aJob;
+
+    t.test('to a finished job', function (t) {
+        client.post('/jobs/' + job_uuid + '/signals/dns-ready', {
+            ip: '10.0.0.1'
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(err.body.message, 'Finished jobs cannot be signaled');
+            t.end();
+        });
+    });
+
+    t.test('to a waiting job', function (t) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'signal'
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            aJob = obj;
+            aJob.execution = 'waiting';
+            aJob.chain_results = [ {
+                result: 'OK',
+                error: 'wait',
+                signal: 'dns-ready'
+            }];
+            backend.updateJob(aJob, function (err) {
+                t.ifError(err);
+                client.post('/jobs/' + aJob.uuid + '/signals/other', {
+                    foo: 'bar'
+                }, function (err, req, res, obj) {
+                    t.ifError(err);
+                    t.equal(obj.execution, 'waiting', 'job still waiting');
+                    t.equivalent(obj.signals.other, {foo: 'bar'});
+                    client.post('/jobs/' + aJob.uuid + '/signals/dns-ready', {
+                        ip: '10.0.0.1'
+                    }, function (err, req, res, obj) {
+                        t.ifError(err);
+                        t.equal(res.statusCode, 200);
+                        t.equal(obj.execution, 'queued', 'job resumed');
+                        t.equivalent(obj.signals['dns-ready'],
+                            {ip: '10.0.0.1'});
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('PUT /jobs/:uuid/priority', function (t) {
+    var aJob;
+
+    t.test('POST /jobs with priority', function (t) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'priority',
+            priority: 5
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 201);
+            t.equal(obj.priority, 5);
+            aJob = obj;
+            t.end();
+        });
+    });
+
+    t.test('with an invalid priority', function (t) {
+        client.put('/jobs/' + aJob.uuid + '/priority', {
+            priority: 'high'
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(err.body.message, 'Job priority must be an integer');
+            t.end();
+        });
+    });
+
+    t.test('of a queued job', function (t) {
+        client.put('/jobs/' + aJob.uuid + '/priority', {
+            priority: 20
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            t.equal(obj.priority, 20);
+            backend.getJob(aJob.uuid, function (err2, job) {
+                t.ifError(err2);
+                t.equal(job.priority, 20);
+                t.end();
+            });
+        });
+    });
+
+    t.test('of a finished job', function (t) {
+        client.put('/jobs/' + job_uuid + '/priority', {
+            priority: 20
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(err.body.message,
+                'Only queued jobs can change their priority');
+            t.end();
+        });
+    });
+});
+
+
+test('PUT /jobs/:uuid/exec_after', function (t) {
+    var aJob;
+
+    t.test('POST /jobs with future exec_after', function (t) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'delayed',
+            exec_after: new Date(Date.now() + 3600000).toISOString()
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 201);
+            aJob = obj;
+            backend.nextJobs(0, 100, function (err2, uuids) {
+                t.ifError(err2);
+                t.equal((uuids || []).indexOf(aJob.uuid), -1,
+                    'job not due');
+                t.end();
+            });
+        });
+    });
+
+    t.test('with an invalid exec_after', function (t) {
+        client.put('/jobs/' + aJob.uuid + '/exec_after', {
+            exec_after: 'tomorrow'
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(err.body.message,
+                'Job exec_after must be an ISO 8601 date');
+            t.end();
+        });
+    });
+
+    t.test('of a queued job', function (t) {
+        var now = new Date().toISOString();
+        client.put('/jobs/' + aJob.uuid + '/exec_after', {
+            exec_after: now
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            t.equal(obj.exec_after, now);
+            backend.nextJobs(0, 100, function (err2, uuids) {
+                t.ifError(err2);
+                t.notEqual(uuids.indexOf(aJob.uuid), -1, 'job due');
+                t.end();
+            });
+        });
+    });
+
+    t.test('of a finished job', function (t) {
+        client.put('/jobs/' + job_uuid + '/exec_after', {
+            exec_after: new Date().toISOString()
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(err.body.message,
+                'Only queued jobs can change their exec_after');
+            t.end();
+        });
+    });
+});
+
+
+test('POST /jobs with on_conflict wait', function (t) {
+    var aJob = {
+        workflow: wf_uuid,
+        target: '/conflict',
+        foo: 'conflict'
+    };
+    var blocking;
+
+    t.test('blocking job', function (t) {
+        client.post('/jobs', aJob, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(obj.execution, 'queued');
+            blocking = obj;
+            t.end();
+        });
+    });
+
+    t.test('with duplicated target and params', function (t) {
+        aJob.on_conflict = 'wait';
+        client.post('/jobs', aJob, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 201);
+            t.equal(obj.execution, 'blocked');
+            t.equivalent(obj.blocked_by, [ {
+                job_uuid: blocking.uuid,
+                reason: 'target'
+            }]);
+            aJob = obj;
+            t.end();
+        });
+    });
+
+    t.test('released on cancel', function (t) {
+        client.post('/jobs/' + blocking.uuid + '/cancel', {},
+            function (err, req, res, obj) {
+            t.ifError(err);
+            client.get('/jobs/' + aJob.uuid, function (err2, req2, res2, o) {
+                t.ifError(err2);
+                t.equal(o.execution, 'queued');
+                t.equal(o.blocked_by, undefined);
+                t.end();
+            });
+        });
+    });
+
+    t.end();
+});
+
+
+test('POST /jobs with idempotency key', function (t) {
+    var key = uuid();
+    var aJob;
+
+    t.test('first request', function (t) {
+        client.headers['idempotency-key'] = key;
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'idempotent'
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 201);
+            t.equal(obj.idempotency_key, key);
+            aJob = obj;
+            t.end();
+        });
+    });
+
+    t.test('repeated request', function (t) {
+        client.post('/jobs', {
+            foo: 'idempotent',
+            workflow: wf_uuid
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            t.equal(obj.uuid, aJob.uuid, 'same job');
+            t.equal(res.headers.location, '/jobs/' + aJob.uuid);
+            t.end();
+        });
+    });
+
+    t.test('repeated request with a different body', function (t) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'something else'
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 422);
+            t.equal(err.body.message,
+                'Idempotency key already used with a different request');
+            t.end();
+        });
+    });
+
+    t.test('repeated request with key param', function (t) {
+        delete client.headers['idempotency-key'];
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'idempotent',
+            idempotency_key: key
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            t.equal(obj.uuid, aJob.uuid, 'same job');
+            t.end();
+        });
+    });
+
+    t.test('backend without idempotency keys support', function (t) {
+        var getJobByIdempotencyKey = backend.getJobByIdempotencyKey;
+        delete backend.getJobByIdempotencyKey;
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'idempotent',
+            idempotency_key: uuid()
+        }, function (err, req, res, obj) {
+            backend.getJobByIdempotencyKey = getJobByIdempotencyKey;
+            t.ok(err);
+            t.equal(err.statusCode, 501);
+            t.equal(err.body.message,
+                'Backend does not support idempotency keys');
+            t.end();
+        });
+    });
+
+    t.end();
+});
+
+
+test('POST /jobs with depends_on', function (t) {
+    var prerequisite, dependent;
+
+    t.test('prerequisite job', function (t) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'prerequisite'
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            prerequisite = obj;
+            t.end();
+        });
+    });
+
+    t.test('dependent job', function (t) {
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'dependent',
+            depends_on: [prerequisite.uuid]
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 201);
+            t.equal(obj.execution, 'blocked');
+            dependent = obj;
+            t.end();
+        });
+    });
+
+    t.test('GET /jobs/:uuid dependencies', function (t) {
+        client.get('/jobs/' + prerequisite.uuid,
+            function (err, req, res, obj) {
+            t.ifError(err);
+            t.equivalent(obj.dependencies, {
+                depends_on: [],
+                dependents: [ {
+                    uuid: dependent.uuid,
+                    execution: 'blocked'
+                }]
+            });
+            t.end();
+        });
+    });
+
+    t.test('GET /jobs/:uuid without backend dependencies', function (t) {
+        var getJobDependencies = backend.getJobDependencies;
+        delete backend.getJobDependencies;
+        client.get('/jobs/' + prerequisite.uuid,
+            function (err, req, res, obj) {
+            backend.getJobDependencies = getJobDependencies;
+            t.ifError(err);
+            t.equal(obj.uuid, prerequisite.uuid);
+            t.equal(obj.dependencies, undefined);
+            t.end();
+        });
+    });
+
+    t.test('backend without dependencies support', function (t) {
+        delete backend.blocks_jobs;
+        client.post('/jobs', {
+            workflow: wf_uuid,
+            foo: 'dependent',
+            depends_on: [prerequisite.uuid]
+        }, function (err, req, res, obj) {
+            backend.blocks_jobs = true;
+            t.ok(err);
+            t.equal(err.statusCode, 501);
+            t.equal(err.body.message,
+                'Backend does not support job dependencies');
+            t.end();
+        });
+    });
+
+    t.test('canceled with its prerequisite', function (t) {
+        client.post('/jobs/' + prerequisite.uuid + '/cancel', {},
+            function (err, req, res, obj) {
+            t.ifError(err);
+            client.get('/jobs/' + dependent.uuid,
+                function (err2, req2, res2, o) {
+                t.ifError(err2);
+                t.equal(o.execution, 'canceled');
+                t.equivalent(o.dependencies.depends_on, [ {
+                    uuid: prerequisite.uuid,
+                    execution: 'canceled'
+                }]);
+                t.end();
+            });
+        });
+    });
+
+    t.end();
+});
+
+
+test('schedules', function (t) {
+    var aSchedule;
+
+    t.test('POST /schedules with invalid cron', function (t) {
+        client.post('/schedules', {
+            workflow: wf_uuid,
+            cron: 'every night'
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(err.body.message,
+                'Cron expression "every night" must have 5 fields');
+            t.end();
+        });
+    });
+
+    t.test('backend without schedules support', function (t) {
+        var getSchedules = backend.getSchedules;
+        delete backend.getSchedules;
+        client.get('/schedules', function (err, req, res, obj) {
+            backend.getSchedules = getSchedules;
+            t.ok(err);
+            t.equal(err.statusCode, 501);
+            t.equal(err.body.message, 'Backend does not support schedules');
+            t.end();
+        });
+    });
+
+    t.test('POST /schedules', function (t) {
+        client.post('/schedules', {
+            workflow: wf_uuid,
+            cron: '0 2 * * *',
+            params: {foo: 'nightly'},
+            target: '/nightly',
+            catch_up: 'all'
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 201);
+            t.ok(res.headers.location);
+            t.ok(obj.uuid);
+            t.equal(obj.workflow, wf_uuid);
+            t.equivalent(obj.params, {foo: 'nightly'});
+            t.equal(obj.catch_up, 'all');
+            t.ok(obj.next_run_at);
+            aSchedule = obj;
+            t.end();
+        });
+    });
+
+    t.test('GET /schedules', function (t) {
+        client.get('/schedules', function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            t.equal(obj.length, 1);
+            t.equal(obj[0].uuid, aSchedule.uuid);
+            t.end();
+        });
+    });
+
+    t.test('GET /schedules/:uuid', function (t) {
+        client.get('/schedules/' + aSchedule.uuid,
+            function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            t.equivalent(obj, aSchedule);
+            t.end();
+        });
+    });
+
+    t.test('DELETE /schedules/:uuid', function (t) {
+        client.del('/schedules/' + aSchedule.uuid,
+            function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 204);
+            client.get('/schedules/' + aSchedule.uuid,
+                function (err2, req2, res2, obj2) {
+                t.ok(err2);
+                t.equal(err2.statusCode, 404);
+                t.end();
+            });
+        });
+    });
+    t.end();
+});
+
+
 test('DELETE /workflows/:uuid', function (t) {
     client.del('/workflows/' + wf_uuid,
         function (err, req, res, obj) {
@@ -735,6 +1528,296 @@ test('DELETE /workflows/:uuid 404', function (t) {
 });
 
 
+test('POST /workflows with parallel tasks', function (t) {
+    client.post('/workflows', {
+        name: 'A parallel workflow',
+        chain: [ {
+            name: 'A group',
+            join: 'any',
+            parallel: [ {
+                name: 'A Task',
+                body: function (job, cb) {
+                    return cb(null);
+                }.toString()
+            }, {
+                name: 'Another Task',
+                body: function (job, cb) {
+                    return cb(null);
+                }.toString()
+            }]
+        }]
+    }, function (err, req, res, obj) {
+        t.ifError(err, 'POST /workflows error');
+        t.equal(res.statusCode, 201);
+        t.ok(obj.chain_md5, 'Workflow chain_md5');
+        t.equal(obj.chain[0].join, 'any', 'group join');
+        t.equal(obj.chain[0].parallel.length, 2, 'group tasks');
+        t.ok(obj.chain[0].parallel[0].uuid, 'group task uuid');
+        client.del('/workflows/' + obj.uuid, function (err2, req2, res2) {
+            t.ifError(err2);
+            t.equal(res2.statusCode, 204);
+            t.end();
+        });
+    });
+});
+
+
+test('POST /workflows parallel task missing body', function (t) {
+    client.post('/workflows', {
+        name: 'A parallel workflow',
+        chain: [ {
+            name: 'A group',
+            parallel: [ {
+                name: 'A Task'
+            }]
+        }]
+    }, function (err, req, res, obj) {
+        t.ok(err);
+        t.equal(err.statusCode, 409, 'error status code');
+        t.equal(err.body.message, 'Task body is required', 'error body');
+        t.end();
+    });
+});
+
+
+test('workflow versions', function (t) {
+    var aTask = {
+        name: 'A Task',
+        body: function (job, cb) {
+            return cb(null);
+        }.toString()
+    };
+    var wf;
+
+    t.test('POST /workflows', function (t) {
+        client.post('/workflows', {
+            name: 'A versioned workflow',
+            chain: [aTask]
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(obj.version, 1, 'workflow version');
+            wf = obj;
+            t.end();
+        });
+    });
+
+    t.test('PUT /workflows/:uuid', function (t) {
+        client.put('/workflows/' + wf.uuid, {
+            name: 'A versioned workflow',
+            chain: [aTask, aTask]
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(obj.version, 2, 'workflow version');
+            t.end();
+        });
+    });
+
+    t.test('GET /workflows/:uuid/versions', function (t) {
+        client.get('/workflows/' + wf.uuid + '/versions',
+            function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 200);
+            t.equal(obj.length, 2, 'workflow versions');
+            t.equal(obj[0].version, 1, 'first version');
+            t.equal(obj[0].chain.length, 1, 'first version chain');
+            t.equal(obj[1].version, 2, 'latest version');
+            t.equal(obj[1].chain.length, 2, 'latest version chain');
+            t.end();
+        });
+    });
+
+    t.test('GET /workflows/:uuid/versions 404', function (t) {
+        client.get('/workflows/' + uuid() + '/versions',
+            function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 404);
+            t.end();
+        });
+    });
+
+    t.test('backend without workflow versions support', function (t) {
+        var getWorkflowVersions = backend.getWorkflowVersions;
+        var getWorkflowVersion = backend.getWorkflowVersion;
+        delete backend.getWorkflowVersions;
+        delete backend.getWorkflowVersion;
+        client.get('/workflows/' + wf.uuid + '/versions',
+            function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 501);
+            t.equal(err.body.message,
+                'Backend does not support workflow versions');
+            client.post('/jobs', {
+                workflow: wf.uuid,
+                workflow_version: 1
+            }, function (err2, req2, res2, obj2) {
+                backend.getWorkflowVersions = getWorkflowVersions;
+                backend.getWorkflowVersion = getWorkflowVersion;
+                t.ok(err2);
+                t.equal(err2.statusCode, 409);
+                t.equal(err2.body.message,
+                    'Backend does not support workflow versions');
+                t.end();
+            });
+        });
+    });
+
+    t.test('POST /jobs with workflow version', function (t) {
+        client.post('/jobs', {
+            workflow: wf.uuid,
+            workflow_version: 1
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(obj.workflow_version, 1, 'job workflow version');
+            t.equal(obj.chain.length, 1, 'job chain');
+            t.end();
+        });
+    });
+
+    t.test('POST /jobs with latest workflow version', function (t) {
+        client.post('/jobs', {
+            workflow: wf.uuid,
+            workflow_version: 'latest'
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(obj.workflow_version, 2, 'job workflow version');
+            t.equal(obj.chain.length, 2, 'job chain');
+            t.end();
+        });
+    });
+
+    t.test('POST /jobs with unexisting workflow version', function (t) {
+        client.post('/jobs', {
+            workflow: wf.uuid,
+            workflow_version: 3
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 404);
+            t.end();
+        });
+    });
+
+    t.test('POST /jobs with wrong workflow version', function (t) {
+        client.post('/jobs', {
+            workflow: wf.uuid,
+            workflow_version: 'foo'
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.end();
+        });
+    });
+
+    t.end();
+});
+
+
+test('job params schema', function (t) {
+    var wf;
+
+    t.test('POST /workflows with wrong params_schema', function (t) {
+        client.post('/workflows', {
+            name: 'A workflow with wrong params schema',
+            chain: [ {
+                name: 'A Task',
+                body: function (job, cb) {
+                    return cb(null);
+                }.toString()
+            }],
+            params_schema: {
+                type: 'object',
+                properties: {
+                    size: {
+                        type: 'integr'
+                    }
+                }
+            }
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(err.body.message, 'Workflow "params_schema" ' +
+                'params.size has an unknown type');
+            t.end();
+        });
+    });
+
+    t.test('POST /workflows with params_schema', function (t) {
+        client.post('/workflows', {
+            name: 'A workflow with params schema',
+            chain: [ {
+                name: 'A Task',
+                body: function (job, cb) {
+                    return cb(null);
+                }.toString()
+            }],
+            params_schema: {
+                type: 'object',
+                required: ['name'],
+                properties: {
+                    name: {
+                        type: 'string'
+                    },
+                    size: {
+                        type: 'integer',
+                        'default': 1024
+                    }
+                }
+            }
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.ok(obj.params_schema, 'workflow params_schema');
+            wf = obj;
+            t.end();
+        });
+    });
+
+    t.test('PUT /workflows/:uuid with wrong params_schema', function (t) {
+        client.put('/workflows/' + wf.uuid, {
+            name: wf.name,
+            chain: wf.chain,
+            params_schema: {
+                type: 'object',
+                properties: []
+            }
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(err.body.message, 'Workflow "params_schema" ' +
+                'params properties must be an object');
+            t.end();
+        });
+    });
+
+    t.test('POST /jobs with wrong params', function (t) {
+        client.post('/jobs', {
+            workflow: wf.uuid,
+            size: 'big'
+        }, function (err, req, res, obj) {
+            t.ok(err);
+            t.equal(err.statusCode, 409);
+            t.equal(err.body.message, 'Job params do not match the ' +
+                'workflow params_schema: params.name is missing and it is ' +
+                'required, params.size string value found, but a integer ' +
+                'is required');
+            t.end();
+        });
+    });
+
+    t.test('POST /jobs with params defaults', function (t) {
+        client.post('/jobs', {
+            workflow: wf.uuid,
+            name: 'foo'
+        }, function (err, req, res, obj) {
+            t.ifError(err);
+            t.equal(res.statusCode, 201);
+            t.equivalent(obj.params, {name: 'foo', size: 1024});
+            t.end();
+        });
+    });
+
+    t.end();
+});
+
+
 test('teardown', function (t) {
     client.close();
     server.close(function () {
@@ -0,0 +1,53 @@
+// Copyright (c) 2018, Joyent, Inc.
+
+var test = require('tap').test,
+    cron = require('../lib/cron');
+
+
+test('parse cron expressions', function (t) {
+    var c = cron.parse('*/15 2,4 1-3 * mon-fri');
+    t.equivalent(c.minutes, [0, 15, 30, 45], 'minutes');
+    t.equivalent(c.hours, [2, 4], 'hours');
+    t.equivalent(c.days, [1, 2, 3], 'days');
+    t.equal(c.months.length, 12, 'months');
+    t.equivalent(c.weekdays, [1, 2, 3, 4, 5], 'weekdays');
+
+    t.equivalent(cron.parse('@daily'), cron.parse('0 0 * * *'), 'alias');
+    t.equivalent(cron.parse('0 0 * * 7').weekdays, [0], 'sunday');
+
+    t.throws(function () {
+        cron.parse('* * * *');
+    }, 'missing field');
+    t.throws(function () {
+        cron.parse('60 * * * *');
+    }, 'minute out of range');
+    t.throws(function () {
+        cron.parse('* * * foo *');
+    }, 'unknown month');
+    t.throws(function () {
+        cron.parse(42);
+    }, 'not a string');
+    t.end();
+});
+
+
+test('next run of cron expressions', function (t) {
+    var after = '2018-03-14T10:07:30.000Z';
+
+    t.equal(cron.next('*/15 * * * *', after).toISOString(),
+        '2018-03-14T10:15:00.000Z', 'every 15 minutes');
+    t.equal(cron.next('0 2 * * *', after).toISOString(),
+        '2018-03-15T02:00:00.000Z', 'nightly');
+    t.equal(cron.next('30 9 1 * *', after).toISOString(),
+        '2018-04-01T09:30:00.000Z', 'monthly');
+    t.equal(cron.next('0 0 * * sun', after).toISOString(),
+        '2018-03-18T00:00:00.000Z', 'weekly');
+    // Either the day of month or the day of week:
+    t.equal(cron.next('0 0 20 * mon', after).toISOString(),
+        '2018-03-19T00:00:00.000Z', 'day of month or week');
+    // Strictly after the given time:
+    t.equal(cron.next('0 * * * *', '2018-03-14T10:00:00.000Z').toISOString(),
+        '2018-03-14T11:00:00.000Z', 'strictly after');
+    t.equal(cron.next('0 0 30 2 *', after), null, 'never matches');
+    t.end();
+});
@@ -5,6 +5,7 @@ var test = require('tap').test,
     uuid = require('uuid'),
     SOCKET = '/tmp/.' + uuid(),
     util = require('util'),
+    vasync = require('vasync'),
     Factory = require('../lib/index').Factory,
     WorkflowInMemoryBackend = require('../lib/workflow-in-memory-backend');
 
@@ -66,6 +67,161 @@ test('add a workflow', function (t) {
     });
 });
 
+test('add a workflow with a group of parallel tasks', function (t) {
+    factory.workflow({
+        name: 'A parallel workflow',
+        chain: [ {
+            name: 'A group',
+            parallel: [ {
+                name: 'A Task',
+                body: function (job, cb) {
+                    return cb(null);
+                }
+            }, {
+                name: 'Another Task',
+                body: function (job, cb) {
+                    return cb(null);
+                }
+            }],
+            join: 1
+        }]
+    }, function (err, workflow) {
+        t.ifError(err, 'add workflow error');
+        t.ok(workflow, 'add workflow ok');
+        var group = workflow.chain[0];
+        t.ok(group.uuid, 'group uuid');
+        t.equal(group.join, 1, 'group join');
+        t.ok(Array.isArray(group.parallel), 'group tasks');
+        t.ok(group.parallel[0].uuid, 'group task uuid');
+        t.equal(typeof (group.parallel[1].body), 'string', 'group task body');
+        t.ok(workflow.chain_md5, 'chain md5');
+        backend.deleteWorkflow(workflow, function (err, deleted) {
+            t.ifError(err, 'delete workflow error');
+            t.ok(deleted, 'workflow deleted');
+            // Modifying a task into a group gives a different MD5:
+            factory.workflow({
+                name: 'A parallel workflow',
+                chain: [ {
+                    name: 'A group',
+                    parallel: [ {
+                        name: 'A Task',
+                        body: function (job, cb) {
+                            return cb(null);
+                        }
+                    }, {
+                        name: 'Another Task',
+                        body: function (job, cb) {
+                            return cb('error');
+                        }
+                    }],
+                    join: 1
+                }]
+            }, function (err2, workflow2) {
+                t.ifError(err2, 'add workflow error');
+                t.notEqual(workflow.chain_md5, workflow2.chain_md5, 'md5');
+                backend.deleteWorkflow(workflow2, function (err3) {
+                    t.ifError(err3, 'delete workflow error');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('parallel tasks group validation', function (t) {
+    factory.workflow({
+        name: 'A wrong parallel workflow',
+        chain: [ {
+            name: 'A group',
+            parallel: [ {
+                name: 'A Task',
+                body: function (job, cb) {
+                    return cb(null);
+                }
+            }],
+            join: 2
+        }]
+    }, function (err, workflow) {
+        t.equal(err, 'Group "join" must be one of "all", "any" or ' +
+            'a number of tasks');
+        factory.workflow({
+            name: 'A wrong parallel workflow',
+            chain: [ {
+                name: 'A group',
+                parallel: [ {
+                    name: 'A Task'
+                }]
+            }]
+        }, function (err2, workflow2) {
+            t.equal(err2, 'Task "body" is required');
+            t.end();
+        });
+    });
+});
+
+
+test('sub-workflow task validation', function (t) {
+    factory.workflow({
+        name: 'A wrong sub-workflow workflow',
+        chain: [ {
+            name: 'A Task',
+            workflow: 'A workflow',
+            body: function (job, cb) {
+                return cb(null);
+            }
+        }]
+    }, function (err, workflow) {
+        t.equal(err, 'Task cannot have both "workflow" and "body"');
+        factory.workflow({
+            name: 'A wrong sub-workflow workflow',
+            chain: [ {
+                name: 'A group',
+                parallel: [ {
+                    name: 'A Task',
+                    workflow: 'A workflow'
+                }]
+            }]
+        }, function (err2, workflow2) {
+            t.equal(err2, 'A group cannot contain a workflow task');
+            t.end();
+        });
+    });
+});
+
+
+test('map task validation', function (t) {
+    factory.workflow({
+        name: 'A wrong map workflow',
+        chain: [ {
+            name: 'A Task',
+            map: 'params.servers',
+            concurrency: 0,
+            body: function (job, cb) {
+                return cb(null);
+            }
+        }]
+    }, function (err, workflow) {
+        t.equal(err, 'Task "concurrency" must be a positive integer');
+        factory.workflow({
+            name: 'A wrong map workflow',
+            chain: [ {
+                name: 'A Task',
+                map: 'params.servers',
+                on_item_error: 'retry',
+                body: function (job, cb) {
+                    return cb(null);
+                }
+            }]
+        }, function (err2, workflow2) {
+            t.equal(err2, 'Task "on_item_error" must be one of "abort", ' +
+                '"continue" or "ignore"');
+            t.end();
+        });
+    });
+});
+
+
 test('workflow name must be unique', function (t) {
     factory.workflow({
         name: 'A workflow',
@@ -119,7 +275,17 @@ test('update workflow', function (t) {
         t.ok(workflow, 'update workflow ok');
         t.ok(workflow.chain[1].name, 'Updated task ok');
         t.ok(workflow.chain[1].body, 'Updated task body ok');
-        t.end();
+        t.equal(workflow.version, 2, 'Updated workflow version');
+        backend.getWorkflowVersions(aWorkflow.uuid, function (err, wfs) {
+            t.ifError(err, 'get workflow versions error');
+            t.equal(wfs.length, 2, 'workflow versions');
+            t.equal(wfs[0].chain.length, 1, 'first version unchanged');
+            backend.getWorkflowVersion(aWorkflow.uuid, 1, function (err, wf) {
+                t.ifError(err, 'get workflow version error');
+                t.equal(wf.version, 1, 'workflow version');
+                t.end();
+            });
+        });
     });
 });
 
@@ -137,6 +303,7 @@ test('create job', function (t) {
         t.ifError(err, 'create job error');
         t.ok(job, 'create job ok');
         t.ok(job.exec_after, 'job exec_after');
+        t.equal(job.workflow_version, 2, 'job workflow version');
         t.equal(job.execution, 'queued', 'job queued');
         t.ok(job.uuid, 'job uuid');
         t.ok(util.isArray(job.chain), 'job chain is array');
@@ -598,6 +765,878 @@ test('get job info', function (t) {
 });
 
 
+test('schedules', function (t) {
+    var aSchedule;
+
+    t.test('with an invalid cron expression', function (t) {
+        factory.schedule({
+            workflow: aWorkflow.uuid,
+            cron: '0 25 * * *'
+        }, function (err, schedule) {
+            t.equal(err, 'Invalid cron hour "25"');
+            t.end();
+        });
+    });
+    t.test('with an invalid catch up policy', function (t) {
+        factory.schedule({
+            workflow: aWorkflow.uuid,
+            cron: '@daily',
+            catch_up: 'some'
+        }, function (err, schedule) {
+            t.equal(err, '"s.catch_up" must be one of "last", "all", "skip"');
+            t.end();
+        });
+    });
+    t.test('with an unexisting workflow', function (t) {
+        factory.schedule({
+            workflow: uuid(),
+            cron: '@daily'
+        }, function (err, schedule) {
+            t.ok(err);
+            t.equal(err.name, 'BackendResourceNotFoundError');
+            t.end();
+        });
+    });
+    t.test('create schedule', function (t) {
+        factory.schedule({
+            workflow: aWorkflow.uuid,
+            cron: '0 2 * * *',
+            params: {foo: 'bar'}
+        }, function (err, schedule) {
+            t.ifError(err, 'create schedule error');
+            t.ok(schedule.uuid, 'schedule uuid');
+            t.equal(schedule.catch_up, 'last', 'default catch up policy');
+            t.equal(schedule.last_run_at, null, 'schedule last run');
+            t.equal(new Date(schedule.next_run_at).getUTCHours(), 2,
+                'schedule next run');
+            aSchedule = schedule;
+            t.end();
+        });
+    });
+    t.test('get schedules', function (t) {
+        backend.getSchedules({workflow: aWorkflow.uuid},
+            function (err, schedules) {
+            t.ifError(err, 'get schedules error');
+            t.equal(schedules.length, 1, 'schedules length');
+            t.equivalent(schedules[0], aSchedule, 'schedule');
+            t.end();
+        });
+    });
+    t.test('update schedule', function (t) {
+        aSchedule.last_run_at = aSchedule.next_run_at;
+        backend.updateSchedule(aSchedule, function (err) {
+            t.ifError(err, 'update schedule error');
+            backend.getSchedule(aSchedule.uuid, function (err2, schedule) {
+                t.ifError(err2, 'get schedule error');
+                t.equal(schedule.last_run_at, aSchedule.next_run_at,
+                    'schedule last run');
+                t.end();
+            });
+        });
+    });
+    t.test('delete schedule', function (t) {
+        backend.deleteSchedule(aSchedule, function (err, success) {
+            t.ifError(err, 'delete schedule error');
+            t.ok(success);
+            backend.getSchedule(aSchedule.uuid, function (err2, schedule) {
+                t.ok(err2, 'deleted schedule');
+                t.end();
+            });
+        });
+    });
+    t.end();
+});
+
+
+test('job priorities', function (t) {
+    // A backend of our own, so no other queued jobs get in the way:
+    var pBackend = WorkflowInMemoryBackend({priority_aging: 60});
+    var pFactory, wf;
+    var now = Date.now();
+
+    function createJob(name, priority, exec_after, cb) {
+        pFactory.job({
+            workflow: wf.uuid,
+            params: {name: name},
+            priority: priority,
+            exec_after: new Date(exec_after).toISOString()
+        }, cb);
+    }
+
+    t.test('setup', function (t) {
+        pBackend.init(function () {
+            pFactory = Factory(pBackend);
+            pFactory.workflow({
+                name: 'Priorities wf',
+                chain: [ {
+                    body: function (job, cb) {
+                        return cb(null);
+                    }
+                }]
+            }, function (err, workflow) {
+                t.ifError(err, 'workflow error');
+                wf = workflow;
+                t.end();
+            });
+        });
+    });
+    t.test('invalid priority', function (t) {
+        createJob('invalid', 1.5, now, function (err, job) {
+            t.equal(err, '"j.priority" must be an integer');
+            t.end();
+        });
+    });
+    t.test('next jobs by priority then exec_after', function (t) {
+        var order = {};
+        vasync.forEachPipeline({
+            inputs: [
+                ['batch', undefined, now],
+                ['urgent', 10, now],
+                ['earlier batch', 0, now - 1000],
+                ['aged', -2, now - 150000],
+                ['earlier urgent', 10, now - 500]
+            ],
+            func: function (args, cb) {
+                createJob(args[0], args[1], args[2], function (err, job) {
+                    t.ifError(err, 'create job error');
+                    order[job.uuid] = args[0];
+                    cb(err);
+                });
+            }
+        }, function (err) {
+            t.ifError(err);
+            pBackend.nextJobs(0, 4, function (err2, uuids) {
+                t.ifError(err2, 'next jobs error');
+                t.equivalent(uuids.map(function (uuid) {
+                    return order[uuid];
+                }), ['earlier urgent', 'urgent', 'aged', 'earlier batch',
+                    'batch'], 'jobs order');
+                pBackend.nextJob(function (err3, job) {
+                    t.ifError(err3, 'next job error');
+                    t.equal(job.params.name, 'earlier urgent', 'next job');
+                    t.equal(job.priority, 10, 'job priority');
+                    t.end();
+                });
+            });
+        });
+    });
+    t.test('delayed jobs', function (t) {
+        var queued = [];
+
+        function onJobQueued(ev) {
+            queued.push(ev.uuid);
+        }
+
+        createJob('delayed', 50, now + 60000, function (err, job) {
+            t.ifError(err, 'create job error');
+            pBackend.nextJobs(0, 10, function (err2, uuids) {
+                t.ifError(err2, 'next jobs error');
+                t.equal(uuids.indexOf(job.uuid), -1, 'job not due');
+                pBackend.runJob(job.uuid, runnerId, function (err3) {
+                    t.ok(err3, 'delayed job cannot run');
+                    pBackend.on('job:queued', onJobQueued);
+                    pBackend.updateJobProperty(job.uuid, 'exec_after',
+                        new Date(now).toISOString(), function (err4) {
+                        t.ifError(err4, 'update exec_after error');
+                        pBackend.removeListener('job:queued', onJobQueued);
+                        t.equivalent(queued, [job.uuid], 'job:queued');
+                        pBackend.nextJobs(0, 10, function (err5, uuids2) {
+                            t.ifError(err5, 'next jobs error');
+                            t.equal(uuids2[0], job.uuid, 'job due');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+    t.test('teardown', function (t) {
+        pBackend.quit(function () {
+            t.end();
+        });
+    });
+    t.end();
+});
+
+
+test('job queues', function (t) {
+    // A backend of our own, so no other queued jobs get in the way:
+    var qBackend = WorkflowInMemoryBackend({});
+    var qFactory, wf;
+    var heavyJob, defaultJob;
+
+    t.test('setup', function (t) {
+        qBackend.init(function () {
+            qFactory = Factory(qBackend);
+            qFactory.workflow({
+                name: 'Wrong queue wf',
+                chain: [],
+                queue: ''
+            }, function (err, workflow) {
+                t.equal(err, 'Workflow "queue" must be a non empty string');
+                qFactory.workflow({
+                    name: 'Heavy wf',
+                    chain: [ {
+                        body: function (job, cb) {
+                            return cb(null);
+                        }
+                    }],
+                    queue: 'heavy'
+                }, function (err2, workflow2) {
+                    t.ifError(err2, 'workflow error');
+                    wf = workflow2;
+                    t.end();
+                });
+            });
+        });
+    });
+    t.test('create jobs', function (t) {
+        qFactory.job({
+            workflow: wf.uuid
+        }, function (err, job) {
+            t.ifError(err, 'create job error');
+            t.equal(job.queue, 'heavy', 'workflow queue');
+            heavyJob = job;
+            qFactory.job({
+                workflow: wf.uuid,
+                queue: 'default'
+            }, function (err2, job2) {
+                t.ifError(err2, 'create job error');
+                t.equal(job2.queue, 'default', 'job queue');
+                defaultJob = job2;
+                t.end();
+            });
+        });
+    });
+    t.test('next jobs by queue', function (t) {
+        qBackend.nextJobs(0, 10, ['heavy'], function (err, uuids) {
+            t.ifError(err, 'next jobs error');
+            t.equivalent(uuids, [heavyJob.uuid], 'heavy queue jobs');
+            qBackend.nextJobs(0, 10, ['default'], function (err2, uuids2) {
+                t.ifError(err2, 'next jobs error');
+                t.equivalent(uuids2, [defaultJob.uuid], 'default queue jobs');
+                qBackend.nextJobs(0, 10, function (err3, uuids3) {
+                    t.ifError(err3, 'next jobs error');
+                    t.equal(uuids3.length, 2, 'jobs from every queue');
+                    t.end();
+                });
+            });
+        });
+    });
+    t.test('queues depth', function (t) {
+        qBackend.countJobs(function (err, stats) {
+            t.ifError(err, 'count jobs error');
+            t.equivalent(stats.queues, {heavy: 1, 'default': 1},
+                'queues depth');
+            t.end();
+        });
+    });
+    t.test('teardown', function (t) {
+        qBackend.quit(function () {
+            t.end();
+        });
+    });
+    t.end();
+});
+
+
+test('concurrency limits', function (t) {
+    // A backend of our own, so no other queued jobs get in the way:
+    var cBackend = WorkflowInMemoryBackend({});
+    var cFactory, limitedWf, serializedWf;
+    var limitedJobs = [];
+    var serializedJobs = [];
+
+    function createJobs(wf, target, count, jobsList, cb) {
+        vasync.forEachPipeline({
+            inputs: Array.apply(null, Array(count)),
+            func: function (_, next) {
+                cFactory.job({
+                    workflow: wf.uuid,
+                    target: target,
+                    params: {foo: 'bar'}
+                }, function (err, job) {
+                    if (job) {
+                        jobsList.push(job);
+                    }
+                    next(err);
+                });
+            }
+        }, cb);
+    }
+
+    t.test('setup', function (t) {
+        cBackend.init(function () {
+            cFactory = Factory(cBackend);
+            cFactory.workflow({
+                name: 'Wrong limited wf',
+                chain: [],
+                max_concurrency: 0
+            }, function (err) {
+                t.equal(err,
+                    'Workflow "max_concurrency" must be a positive integer');
+                cFactory.workflow({
+                    name: 'Limited wf',
+                    chain: [ {
+                        body: function (job, cb) {
+                            return cb(null);
+                        }
+                    }],
+                    max_concurrency: 2
+                }, function (err2, wf2) {
+                    t.ifError(err2, 'workflow error');
+                    limitedWf = wf2;
+                    cFactory.workflow({
+                        name: 'Serialized wf',
+                        chain: [ {
+                            body: function (job, cb) {
+                                return cb(null);
+                            }
+                        }],
+                        serialize_target: true
+                    }, function (err3, wf3) {
+                        t.ifError(err3, 'workflow error');
+                        serializedWf = wf3;
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+    t.test('max concurrency', function (t) {
+        createJobs(limitedWf, undefined, 3, limitedJobs, function (err) {
+            t.ifError(err, 'create jobs error');
+            vasync.forEachPipeline({
+                inputs: limitedJobs,
+                func: function (job, next) {
+                    cBackend.runJob(job.uuid, runnerId, next);
+                }
+            }, function (err2, results) {
+                t.ifError(err2, 'run jobs error');
+                t.equal(results.successes[0].execution, 'running');
+                t.equal(results.successes[1].execution, 'running');
+                t.equal(results.successes[2], null, 'job beyond the limit');
+                cBackend.nextJobs(0, 10, function (err3, uuids) {
+                    t.ifError(err3, 'next jobs error');
+                    t.equal(uuids, null, 'no jobs can run');
+                    cBackend.finishJob(results.successes[0],
+                        function (err4) {
+                        t.ifError(err4, 'finish job error');
+                        cBackend.runJob(limitedJobs[2].uuid, runnerId,
+                            function (err5, job) {
+                            t.ifError(err5, 'run job error');
+                            t.equal(job.execution, 'running',
+                                'job within the limit');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+    t.test('serialized target', function (t) {
+        createJobs(serializedWf, '/servers/1', 2, serializedJobs,
+            function (err) {
+            t.ifError(err, 'duplicated target jobs are queued');
+            cBackend.runJob(serializedJobs[0].uuid, runnerId,
+                function (err2, job) {
+                t.ifError(err2, 'run job error');
+                t.equal(job.execution, 'running');
+                cBackend.runJob(serializedJobs[1].uuid, runnerId,
+                    function (err3, job2) {
+                    t.ifError(err3, 'run job error');
+                    t.equal(job2, null, 'target is busy');
+                    cBackend.getJob(serializedJobs[1].uuid,
+                        function (err4, job3) {
+                        t.ifError(err4, 'get job error');
+                        t.equal(job3.execution, 'queued', 'job remains queued');
+                        t.end();
+                    });
+                });
+            });
+        });
+    });
+    t.test('teardown', function (t) {
+        cBackend.quit(function () {
+            t.end();
+        });
+    });
+    t.end();
+});
+
+
+test('blocked jobs', function (t) {
+    // A backend of our own, so no other queued jobs get in the way:
+    var bBackend = WorkflowInMemoryBackend({});
+    var bFactory, bWorkflow, lockingJob, dupJob;
+
+    t.test('setup', function (t) {
+        bBackend.init(function () {
+            bFactory = Factory(bBackend);
+            bFactory.workflow({
+                name: 'Blocked wf',
+                chain: [ {
+                    body: function (job, cb) {
+                        return cb(null);
+                    }
+                }]
+            }, function (err, wf) {
+                t.ifError(err, 'workflow error');
+                bWorkflow = wf;
+                t.end();
+            });
+        });
+    });
+    t.test('invalid conflict policy', function (t) {
+        bFactory.job({
+            workflow: bWorkflow.uuid,
+            target: '/servers/1',
+            on_conflict: 'ignore'
+        }, function (err) {
+            t.equal(err, '"j.on_conflict" must be one of "reject", "wait"');
+            t.end();
+        });
+    });
+    t.test('blocked by locks', function (t) {
+        bFactory.job({
+            workflow: bWorkflow.uuid,
+            target: '/servers/1',
+            locks: '^/servers/'
+        }, function (err, job) {
+            t.ifError(err, 'locking job error');
+            lockingJob = job;
+            bFactory.job({
+                workflow: bWorkflow.uuid,
+                target: '/servers/2',
+                on_conflict: 'wait'
+            }, function (err2, job2) {
+                t.ifError(err2, 'blocked job error');
+                t.equal(job2.execution, 'blocked');
+                t.equivalent(job2.blocked_by, [ {
+                    job_uuid: lockingJob.uuid,
+                    reason: 'locks'
+                }]);
+                bBackend.nextJobs(0, 10, function (err3, uuids) {
+                    t.ifError(err3, 'next jobs error');
+                    t.equivalent(uuids, [lockingJob.uuid],
+                        'blocked job is not queued');
+                    bBackend.runJob(lockingJob.uuid, runnerId,
+                        function (err4, running) {
+                        t.ifError(err4, 'run job error');
+                        bBackend.finishJob(running, function (err5) {
+                            t.ifError(err5, 'finish job error');
+                            bBackend.getJob(job2.uuid, function (err6, j) {
+                                t.ifError(err6, 'get job error');
+                                t.equal(j.execution, 'queued', 'released');
+                                t.equal(j.blocked_by, undefined);
+                                t.end();
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+    t.test('backend without blocked jobs support', function (t) {
+        bFactory.job({
+            workflow: bWorkflow.uuid,
+            target: '/servers/5',
+            locks: '^/servers/5'
+        }, function (err, job) {
+            t.ifError(err, 'locking job error');
+            delete bBackend.blocks_jobs;
+            bFactory.job({
+                workflow: bWorkflow.uuid,
+                target: '/servers/5',
+                on_conflict: 'wait'
+            }, function (err2) {
+                bBackend.blocks_jobs = true;
+                t.ok(err2, 'conflicting job rejected');
+                t.equal(err2.message,
+                    'Job target is currently locked by another job');
+                bBackend.cancelJob(job.uuid, function (err3) {
+                    t.ifError(err3, 'cancel job error');
+                    t.end();
+                });
+            });
+        });
+    });
+    t.test('dependencies on backend without blocked jobs', function (t) {
+        delete bBackend.blocks_jobs;
+        bFactory.job({
+            workflow: bWorkflow.uuid,
+            target: '/servers/5',
+            depends_on_outcome: 'finished'
+        }, function (err) {
+            bBackend.blocks_jobs = true;
+            t.equal(err, 'Backend does not support job dependencies');
+            t.end();
+        });
+    });
+    t.test('blocked by duplicated target', function (t) {
+        bFactory.job({
+            workflow: bWorkflow.uuid,
+            target: '/servers/3',
+            params: {foo: 'bar'}
+        }, function (err, job) {
+            t.ifError(err, 'job error');
+            dupJob = job;
+            bFactory.job({
+                workflow: bWorkflow.uuid,
+                target: '/servers/3',
+                params: {foo: 'bar'},
+                on_conflict: 'wait'
+            }, function (err2, job2) {
+                t.ifError(err2, 'blocked job error');
+                t.equal(job2.execution, 'blocked');
+                t.equivalent(job2.blocked_by, [ {
+                    job_uuid: dupJob.uuid,
+                    reason: 'target'
+                }]);
+                bBackend.getJobs({execution: 'blocked'}, function (err3, js) {
+                    t.ifError(err3, 'get jobs error');
+                    t.equal(js.length, 1, 'blocked jobs');
+                    bBackend.cancelJob(dupJob.uuid, function (err4) {
+                        t.ifError(err4, 'cancel job error');
+                        bBackend.getJob(job2.uuid, function (err5, j) {
+                            t.ifError(err5, 'get job error');
+                            t.equal(j.execution, 'queued', 'released');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+    t.test('blocked by a job which waits', function (t) {
+        bFactory.job({
+            workflow: bWorkflow.uuid,
+            target: '/servers/4',
+            params: {foo: 'bar'}
+        }, function (err, job) {
+            t.ifError(err, 'job error');
+            bBackend.runJob(job.uuid, runnerId, function (err2, running) {
+                t.ifError(err2, 'run job error');
+                bFactory.job({
+                    workflow: bWorkflow.uuid,
+                    target: '/servers/4',
+                    params: {foo: 'bar'},
+                    on_conflict: 'wait'
+                }, function (err3, job3) {
+                    t.ifError(err3, 'blocked job error');
+                    t.equal(job3.execution, 'blocked');
+                    bBackend.pauseJob(running, function (err4) {
+                        t.ifError(err4, 'pause job error');
+                        bBackend.getJob(job3.uuid, function (err5, j) {
+                            t.ifError(err5, 'get job error');
+                            t.equal(j.execution, 'queued', 'released');
+                            t.equal(j.blocked_by, undefined);
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+    t.test('teardown', function (t) {
+        bBackend.quit(function () {
+            t.end();
+        });
+    });
+    t.end();
+});
+
+
+test('get job by idempotency key', function (t) {
+    var key = uuid();
+    factory.job({
+        workflow: aWorkflow.uuid,
+        params: {foo: 'idempotent'},
+        idempotency_key: key
+    }, function (err, job) {
+        t.ifError(err, 'job error');
+        backend.getJobByIdempotencyKey(key, function (err2, found) {
+            t.ifError(err2, 'get job error');
+            t.equal(found.uuid, job.uuid);
+            backend.getJobByIdempotencyKey(uuid(), function (err3, none) {
+                t.ifError(err3, 'get job error');
+                t.equal(none, null, 'unknown key');
+                factory.job({
+                    workflow: aWorkflow.uuid,
+                    idempotency_key: ''
+                }, function (err4) {
+                    t.equal(err4,
+                        '"j.idempotency_key" must be a non empty string');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('job dependencies', function (t) {
+    // A backend of our own, so no other queued jobs get in the way:
+    var dBackend = WorkflowInMemoryBackend({});
+    var dFactory, dWorkflow;
+    var jobA, jobB, jobC, jobD;
+
+    function createJob(props, cb) {
+        props.workflow = dWorkflow.uuid;
+        dFactory.job(props, cb);
+    }
+
+    function runAndFinish(job, execution, cb) {
+        dBackend.runJob(job.uuid, runnerId, function (err, running) {
+            if (err) {
+                return cb(err);
+            }
+            running.execution = execution;
+            return dBackend.finishJob(running, cb);
+        });
+    }
+
+    t.test('setup', function (t) {
+        dBackend.init(function () {
+            dFactory = Factory(dBackend);
+            dFactory.workflow({
+                name: 'Dependencies wf',
+                chain: [ {
+                    body: function (job, cb) {
+                        return cb(null);
+                    }
+                }]
+            }, function (err, wf) {
+                t.ifError(err, 'workflow error');
+                dWorkflow = wf;
+                t.end();
+            });
+        });
+    });
+    t.test('invalid dependencies', function (t) {
+        createJob({depends_on: 'foo'}, function (err) {
+            t.equal(err, '"j.depends_on" must be an array of job UUIDs');
+            createJob({
+                depends_on: [uuid()]
+            }, function (err2) {
+                t.ok(err2, 'unexisting job');
+                t.equal(err2.name, 'BackendResourceNotFoundError');
+                createJob({
+                    depends_on: [],
+                    depends_on_outcome: 'failed'
+                }, function (err3) {
+                    t.equal(err3, '"j.depends_on_outcome" must be one of ' +
+                        '"succeeded", "finished"');
+                    t.end();
+                });
+            });
+        });
+    });
+    t.test('blocked jobs', function (t) {
+        createJob({}, function (err, job) {
+            t.ifError(err, 'job error');
+            jobA = job;
+            createJob({depends_on: [jobA.uuid]}, function (err2, job2) {
+                t.ifError(err2, 'job error');
+                jobB = job2;
+                t.equal(jobB.execution, 'blocked');
+                t.equivalent(jobB.blocked_by, [ {
+                    job_uuid: jobA.uuid,
+                    reason: 'depends_on'
+                }]);
+                createJob({
+                    depends_on: [jobA.uuid],
+                    depends_on_outcome: 'finished'
+                }, function (err3, job3) {
+                    t.ifError(err3, 'job error');
+                    jobC = job3;
+                    createJob({
+                        depends_on: [jobB.uuid]
+                    }, function (err4, job4) {
+                        t.ifError(err4, 'job error');
+                        jobD = job4;
+                        t.equal(jobD.execution, 'blocked');
+                        dBackend.getJobDependencies(jobA.uuid,
+                            function (err5, deps) {
+                            t.ifError(err5, 'dependencies error');
+                            t.equivalent(deps.depends_on, []);
+                            t.equivalent(deps.dependents.map(function (d) {
+                                return d.uuid;
+                            }), [jobB.uuid, jobC.uuid]);
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+    t.test('failed dependency', function (t) {
+        runAndFinish(jobA, 'failed', function (err) {
+            t.ifError(err, 'finish job error');
+            dBackend.getJob(jobB.uuid, function (err2, job) {
+                t.ifError(err2, 'get job error');
+                t.equal(job.execution, 'canceled');
+                t.equal(job.canceled_by, jobA.uuid);
+                dBackend.getJob(jobD.uuid, function (err3, job2) {
+                    t.ifError(err3, 'get job error');
+                    t.equal(job2.execution, 'canceled', 'canceled in turn');
+                    t.equal(job2.canceled_by, jobB.uuid);
+                    dBackend.getJob(jobC.uuid, function (err4, job3) {
+                        t.ifError(err4, 'get job error');
+                        t.equal(job3.execution, 'queued',
+                            'any outcome is fine');
+                        createJob({
+                            depends_on: [jobA.uuid]
+                        }, function (err5, job4) {
+                            t.ifError(err5, 'job error');
+                            t.equal(job4.execution, 'canceled',
+                                'already failed dependency');
+                            t.end();
+                        });
+                    });
+                });
+            });
+        });
+    });
+    t.test('succeeded dependency', function (t) {
+        createJob({depends_on: [jobC.uuid]}, function (err, job) {
+            t.ifError(err, 'job error');
+            t.equal(job.execution, 'blocked');
+            runAndFinish(jobC, 'succeeded', function (err2) {
+                t.ifError(err2, 'finish job error');
+                dBackend.getJob(job.uuid, function (err3, job2) {
+                    t.ifError(err3, 'get job error');
+                    t.equal(job2.execution, 'queued');
+                    t.equal(job2.blocked_by, undefined);
+                    t.end();
+                });
+            });
+        });
+    });
+    t.test('retried dependency', function (t) {
+        createJob({}, function (err, jobE) {
+            t.ifError(err, 'job error');
+            createJob({depends_on: [jobE.uuid]}, function (err2, jobF) {
+                t.ifError(err2, 'job error');
+                runAndFinish(jobE, 'retried', function (err3, retried) {
+                    t.ifError(err3, 'finish job error');
+                    dBackend.getJob(jobF.uuid, function (err4, job) {
+                        t.ifError(err4, 'get job error');
+                        t.equal(job.execution, 'blocked',
+                            'waiting for the next attempt');
+                        dFactory.retry(retried, {force: true},
+                            function (err5, next) {
+                            t.ifError(err5, 'retry error');
+                            dBackend.getJob(jobF.uuid, function (err6, job2) {
+                                t.ifError(err6, 'get job error');
+                                t.equal(job2.execution, 'blocked',
+                                    'next attempt not finished');
+                                runAndFinish(next, 'succeeded',
+                                    function (err7) {
+                                    t.ifError(err7, 'finish job error');
+                                    dBackend.getJob(jobF.uuid,
+                                        function (err8, job3) {
+                                        t.ifError(err8, 'get job error');
+                                        t.equal(job3.execution, 'queued',
+                                            'next attempt succeeded');
+                                        t.end();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+    t.test('teardown', function (t) {
+        dBackend.quit(function () {
+            t.end();
+        });
+    });
+    t.end();
+});
+
+
+test('job leases', function (t) {
+    var otherRunner = uuid();
+    factory.job({
+        workflow: aWorkflow.uuid,
+        params: {foo: 'lease'}
+    }, function (err, job) {
+        t.ifError(err, 'job error');
+        backend.renewJobLease(job.uuid, runnerId, 60000, function (err1) {
+            t.ok(err1, 'queued job lease');
+            t.equal(err1.name, 'BackendPreconditionFailedError');
+            backend.runJob(job.uuid, runnerId, function (err2) {
+                t.ifError(err2, 'run job error');
+                backend.renewJobLease(job.uuid, runnerId, 60000,
+                    function (err3, lease) {
+                    t.ifError(err3, 'renew lease error');
+                    t.equal(lease.owner, runnerId, 'lease owner');
+                    t.equal(lease.renewals, 0, 'lease renewals');
+                    t.ok(new Date(lease.expires_at).getTime() > Date.now(),
+                        'lease expires_at');
+                    backend.renewJobLease(job.uuid, otherRunner, 60000,
+                        function (err4) {
+                        t.ok(err4, 'lease owned by another runner');
+                        // An already expired lease:
+                        backend.renewJobLease(job.uuid, runnerId, -1000,
+                            function (err5, lease2) {
+                            t.ifError(err5, 'renew lease error');
+                            t.equal(lease2.renewals, 1, 'lease renewals');
+                            backend.getExpiredLeaseJobs(function (err6, jobs) {
+                                t.ifError(err6, 'expired lease jobs error');
+                                t.equivalent(jobs, [job.uuid]);
+                                job.execution = 'succeeded';
+                                backend.finishJob(job, function (err7) {
+                                    t.ifError(err7, 'finish job error');
+                                    backend.getExpiredLeaseJobs(
+                                        function (err8, jobs2) {
+                                        t.ifError(err8);
+                                        t.equivalent(jobs2, [],
+                                            'only running jobs');
+                                        t.end();
+                                    });
+                                });
+                            });
+                        });
+                    });
+                });
+            });
+        });
+    });
+});
+
+
+test('queued jobs notifications', function (t) {
+    var queued = [];
+
+    function onJobQueued(ev) {
+        queued.push(ev);
+    }
+
+    t.equal(backend.notifies, true, 'backend notifies');
+    backend.on('job:queued', onJobQueued);
+    factory.job({
+        workflow: aWorkflow.uuid,
+        params: {foo: 'notified'}
+    }, function (err, job) {
+        t.ifError(err, 'job error');
+        backend.removeListener('job:queued', onJobQueued);
+        t.equivalent(queued, [ {
+            uuid: job.uuid,
+            queue: 'default'
+        }], 'job:queued event');
+        backend.updateJobProperty(job.uuid, 'execution', 'canceled',
+            function (err2) {
+            t.ifError(err2, 'cancel job error');
+            t.end();
+        });
+    });
+});
+
+
 test('delete workflow', function (t) {
     t.test('when the workflow exists', function (t) {
         backend.deleteWorkflow(aWorkflow, function (err, success) {
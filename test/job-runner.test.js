@@ -404,6 +404,87 @@ test('run a job which time out without "onerror"', function (t) {
 });
 
 
+test('a job whose child process gets stuck', function (t) {
+    factory.workflow({
+        name: 'Stuck wf',
+        chain: [ {
+            name: 'Stuck Task',
+            body: function (job, cb) {
+                while (true) {}
+            }
+        }],
+        timeout: 3
+    }, function (err, wf) {
+        t.ifError(err, 'stuck wf error');
+        factory.job({
+            workflow: wf.uuid,
+            exec_after: '2012-01-03T12:54:05.788Z'
+        }, function (err1, job) {
+            t.ifError(err1, 'job error');
+            runner.lease_duration = 600;
+            // Leased, given it's run by the runner:
+            backend.runJob(job.uuid, runner.uuid, function (err2, job2) {
+                t.ifError(err2, 'backend.runJob error');
+                wf_job_runner = WorkflowJobRunner({
+                    runner: runner,
+                    backend: backend,
+                    job: job2,
+                    dtrace: DTRACE,
+                    log: log
+                });
+                wf_job_runner.run(function (err3) {
+                    delete runner.lease_duration;
+                    t.ifError(err3, 'wf_job_runner run error');
+                    backend.getJob(job.uuid, function (err4, job4) {
+                        t.ifError(err4, 'get job error');
+                        t.equal(job4.execution, 'failed', 'job execution');
+                        t.equal(job4.chain_results[0].error,
+                            'workflow timeout');
+                        t.end();
+                    });
+                });
+                setTimeout(function () {
+                    backend.getJob(job.uuid, function (err4, job4) {
+                        t.ifError(err4, 'get job error');
+                        t.ok(new Date(job4.lease.expires_at).getTime() <
+                            Date.now(), 'lease not renewed');
+                    });
+                }, 2000);
+            });
+        });
+    });
+});
+
+
+test('a job whose child process crashes', function (t) {
+    runWfJob(t, {
+        name: 'Crash wf',
+        chain: [ {
+            name: 'Crash Task',
+            body: function (job, cb) {
+                // Uncaught, so the child process exits:
+                setTimeout(function () {
+                    throw new Error('Crash');
+                }, 10);
+            }
+        }],
+        onerror: [ {
+            name: 'Crash Fallback Task',
+            body: function (job, cb) {
+                return cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'failed', 'job execution');
+        t.equal(job.chain_results[0].error, 'child process exited');
+        t.equal(job.onerror_results.length, 1, 'onerror run');
+        t.end();
+    });
+});
+
+
 test('a failed workflow with successful "onerror"', function (t) {
     factory.workflow({
         name: 'Failed wf with onerror ok',
@@ -745,6 +826,645 @@ test('a job can call job.info()', function (t) {
 });
 
 
+function runWfJob(t, wfParams, callback, params) {
+    factory.workflow(wfParams, function (err, wf) {
+        t.ifError(err, 'wf error');
+        t.ok(wf, 'wf ok');
+        factory.job({
+            workflow: wf.uuid,
+            exec_after: '2012-01-03T12:54:05.788Z',
+            params: params || {}
+        }, function (err, job) {
+            t.ifError(err, 'job error');
+            t.ok(job, 'job ok');
+            runQueuedJob(t, job, callback);
+        });
+    });
+}
+
+
+// Run an already queued job, then fetch it from the backend:
+function runQueuedJob(t, job, callback) {
+    wf_job_runner = WorkflowJobRunner({
+        runner: runner,
+        backend: backend,
+        job: job,
+        dtrace: DTRACE,
+        log: log
+    });
+    t.ok(wf_job_runner, 'wf_job_runner ok');
+    backend.runJob(job.uuid, runner.uuid, function (err, job) {
+        t.ifError(err, 'backend.runJob error');
+        wf_job_runner.run(function (err) {
+            t.ifError(err, 'wf_job_runner run error');
+            backend.getJob(job.uuid, callback);
+        });
+    });
+}
+
+
+test('a job with a group of parallel tasks', function (t) {
+    var started = Date.now();
+    runWfJob(t, {
+        name: 'Parallel wf',
+        chain: [ {
+            name: 'Parallel group',
+            parallel: [ {
+                name: 'First parallel task',
+                body: function (job, cb) {
+                    job.first = true;
+                    setTimeout(function () {
+                        return cb(null, 'first');
+                    }, 1000);
+                }
+            }, {
+                name: 'Second parallel task',
+                body: function (job, cb) {
+                    job.second = true;
+                    setTimeout(function () {
+                        return cb(null, 'second');
+                    }, 1000);
+                }
+            }]
+        }, {
+            name: 'OK Task',
+            body: function (job, cb) {
+                return cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'succeeded', 'job execution');
+        t.ok(Date.now() - started < 2000, 'tasks run concurrently');
+        t.equal(job.chain_results.length, 2, 'chain results');
+        var res = job.chain_results[0];
+        t.equal(res.name, 'Parallel group', 'group name');
+        t.equal(res.result, 'OK', 'group result');
+        t.equal(res.error, '', 'group error');
+        t.equal(res.parallel.length, 2, 'group results');
+        t.equal(res.parallel[0].result, 'first', 'first task result');
+        t.equal(res.parallel[1].result, 'second', 'second task result');
+        t.ok(job.first, 'first task job property');
+        t.ok(job.second, 'second task job property');
+        t.end();
+    });
+});
+
+
+test('a group of parallel tasks which fails', function (t) {
+    runWfJob(t, {
+        name: 'Parallel fail wf',
+        chain: [ {
+            name: 'Parallel group',
+            parallel: [ {
+                name: 'Fail task',
+                body: function (job, cb) {
+                    return cb('Fail task error');
+                }
+            }, {
+                name: 'Slow task',
+                body: function (job, cb) {
+                    setTimeout(function () {
+                        return cb(null);
+                    }, 10000);
+                }
+            }]
+        }, {
+            name: 'Should not run',
+            body: function (job, cb) {
+                return cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'failed', 'job execution');
+        t.equal(job.chain_results.length, 1, 'chain results');
+        var res = job.chain_results[0];
+        t.equal(res.error, 'Fail task error', 'group error');
+        t.equal(res.parallel[0].error, 'Fail task error', 'task error');
+        t.equal(res.parallel[1].error, 'aborted', 'slow task aborted');
+        t.end();
+    });
+});
+
+
+test('a group of parallel tasks with "any" join policy', function (t) {
+    runWfJob(t, {
+        name: 'Parallel any wf',
+        chain: [ {
+            name: 'Parallel group',
+            join: 'any',
+            parallel: [ {
+                name: 'Fail task',
+                body: function (job, cb) {
+                    return cb('Fail task error');
+                }
+            }, {
+                name: 'OK task',
+                body: function (job, cb) {
+                    setTimeout(function () {
+                        return cb(null);
+                    }, 500);
+                }
+            }, {
+                name: 'Slow task',
+                body: function (job, cb) {
+                    setTimeout(function () {
+                        return cb(null);
+                    }, 10000);
+                }
+            }]
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'succeeded', 'job execution');
+        var res = job.chain_results[0];
+        t.equal(res.result, 'OK', 'group result');
+        t.equal(res.parallel[0].error, 'Fail task error', 'task error');
+        t.equal(res.parallel[1].result, 'OK', 'task result');
+        t.equal(res.parallel[2].error, 'aborted', 'slow task aborted');
+        t.end();
+    });
+});
+
+
+test('a group of parallel tasks with numeric join policy', function (t) {
+    runWfJob(t, {
+        name: 'Parallel N of M wf',
+        chain: [ {
+            name: 'Parallel group',
+            join: 2,
+            parallel: [ {
+                name: 'Fail task',
+                body: function (job, cb) {
+                    return cb('Fail task error');
+                }
+            }, {
+                name: 'Another fail task',
+                body: function (job, cb) {
+                    return cb('Another fail task error');
+                }
+            }, {
+                name: 'OK task',
+                body: function (job, cb) {
+                    setTimeout(function () {
+                        return cb(null);
+                    }, 500);
+                }
+            }]
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'failed', 'job execution');
+        var res = job.chain_results[0];
+        t.ok(res.error, 'group error');
+        t.equal(res.parallel.length, 3, 'group results');
+        t.end();
+    });
+});
+
+
+test('a job with conditional tasks', function (t) {
+    runWfJob(t, {
+        name: 'Conditional wf',
+        chain: [ {
+            name: 'Skipped task',
+            when: function (job) {
+                return (job.params.skip !== true);
+            },
+            body: function (job, cb) {
+                job.skippedTaskRun = true;
+                return cb(null);
+            }
+        }, {
+            name: 'Conditional task',
+            when: function (job) {
+                return (job.params.skip === true);
+            },
+            body: function (job, cb) {
+                job.conditionalTaskRun = true;
+                return cb(null);
+            }
+        }, {
+            name: 'Wrong condition task',
+            when: function (job) {
+                return job.params.foo.bar;
+            },
+            body: function (job, cb) {
+                return cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'failed', 'job execution');
+        t.equal(job.chain_results.length, 3, 'chain results');
+        t.ok(job.chain_results[0].skipped, 'task skipped');
+        t.equal(job.chain_results[0].error, '', 'skipped task error');
+        t.notOk(job.skippedTaskRun, 'skipped task did not run');
+        t.notOk(job.chain_results[1].skipped, 'task not skipped');
+        t.equal(job.chain_results[1].result, 'OK', 'task result');
+        t.ok(job.conditionalTaskRun, 'conditional task run');
+        t.ok(job.chain_results[2].error.match(/^Task "when" error/),
+            'predicate error');
+        t.end();
+    }, {skip: true});
+});
+
+
+test('a job with a task retried after a delay', function (t) {
+    runWfJob(t, {
+        name: 'Retry delay wf',
+        chain: [ {
+            name: 'Retried task',
+            retry: 2,
+            retry_delay: 100,
+            retry_on: ['Transient error'],
+            body: function (job, cb) {
+                job.count = (job.count || 0) + 1;
+                return cb((job.count === 1) ? 'Transient error' : null);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'succeeded', 'job execution');
+        var attempts = job.chain_results[0].attempts;
+        t.ok(attempts, 'task attempts');
+        t.equal(attempts.length, 2, 'task attempts');
+        t.equal(attempts[0].error, 'Transient error', 'first attempt error');
+        t.equal(attempts[1].error, '', 'second attempt error');
+        t.end();
+    });
+});
+
+
+test('a job waiting for a signal', function (t) {
+    runWfJob(t, {
+        name: 'Signal wf',
+        chain: [ {
+            name: 'Wait for signal task',
+            body: function (job, cb) {
+                return cb('wait', {signal: 'dns-ready', timeout: 600});
+            }
+        }, {
+            name: 'Signaled task',
+            body: function (job, cb) {
+                job.ip = job.signals['dns-ready'].ip;
+                return cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'waiting', 'job execution');
+        t.equal(job.chain_results[0].signal, 'dns-ready', 'job signal');
+        t.ok(job.chain_results[0].signal_expires_at, 'signal expiration');
+        job.signals = {'dns-ready': {ip: '10.0.0.1'}};
+        backend.resumeJob(job, function (err, job) {
+            t.ifError(err, 'resume job error');
+            runQueuedJob(t, job, function (err, job) {
+                t.ifError(err, 'get job error');
+                t.equal(job.execution, 'succeeded', 'job execution');
+                t.equal(job.chain_results[0].error, '', 'signal error');
+                t.ok(job.chain_results[0].signal_received_at,
+                    'signal received');
+                t.equal(job.ip, '10.0.0.1', 'signal payload');
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('a job signaled while its task is running', function (t) {
+    factory.workflow({
+        name: 'Early signal wf',
+        chain: [ {
+            name: 'Slow wait for signal task',
+            body: function (job, cb) {
+                setTimeout(function () {
+                    return cb('wait', {signal: 'dns-ready', timeout: 600});
+                }, 1000);
+            }
+        }, {
+            name: 'Signaled task',
+            body: function (job, cb) {
+                job.ip = job.signals['dns-ready'].ip;
+                return cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, wf) {
+        t.ifError(err, 'wf error');
+        factory.job({
+            workflow: wf.uuid,
+            exec_after: '2012-01-03T12:54:05.788Z'
+        }, function (err, job) {
+            t.ifError(err, 'job error');
+            // Signal the job while the task body is still running:
+            setTimeout(function () {
+                backend.updateJobProperty(job.uuid, 'signals', {
+                    'dns-ready': {ip: '10.0.0.2'}
+                }, function (err) {
+                    t.ifError(err, 'signal job error');
+                });
+            }, 300);
+            runQueuedJob(t, job, function (err, job) {
+                t.ifError(err, 'get job error');
+                t.equal(job.execution, 'queued', 'job resumed');
+                t.ok(job.signals, 'job signals kept');
+                runQueuedJob(t, job, function (err, job) {
+                    t.ifError(err, 'get job error');
+                    t.equal(job.execution, 'succeeded', 'job execution');
+                    t.ok(job.chain_results[0].signal_received_at,
+                        'signal received');
+                    t.equal(job.ip, '10.0.0.2', 'signal payload');
+                    t.end();
+                });
+            });
+        });
+    });
+});
+
+
+test('a job waiting for a signal which times out', function (t) {
+    runWfJob(t, {
+        name: 'Signal timeout wf',
+        chain: [ {
+            name: 'Wait for signal task',
+            body: function (job, cb) {
+                return cb('wait', {signal: 'dns-ready', timeout: 0.1});
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'waiting', 'job execution');
+        setTimeout(function () {
+            backend.resumeJob(job, function (err, job) {
+                t.ifError(err, 'resume job error');
+                runQueuedJob(t, job, function (err, job) {
+                    t.ifError(err, 'get job error');
+                    t.equal(job.execution, 'failed', 'job execution');
+                    t.equal(job.chain_results[0].error,
+                        'Signal "dns-ready" timeout', 'signal error');
+                    t.end();
+                });
+            });
+        }, 200);
+    });
+});
+
+
+test('a job with a map task', function (t) {
+    runWfJob(t, {
+        name: 'Map wf',
+        chain: [ {
+            name: 'Map task',
+            map: 'params.servers',
+            concurrency: 2,
+            body: function (job, cb) {
+                job.mapped = true;
+                return cb(null, job.map_index + ':' + job.map_item);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'succeeded', 'job execution');
+        var res = job.chain_results[0];
+        t.equal(res.result, 'OK', 'map result');
+        t.equal(res.error, '', 'map error');
+        t.equal(res.map.length, 3, 'map results');
+        t.equal(res.map[0].result, '0:foo', 'first item result');
+        t.equal(res.map[2].result, '2:baz', 'last item result');
+        t.equal(res.map[2].index, 2, 'item index');
+        t.ok(job.mapped, 'job properties saved');
+        t.equal(typeof (job.map_item), 'undefined', 'item not saved');
+        t.end();
+    }, {servers: ['foo', 'bar', 'baz']});
+});
+
+
+test('a job with a failing map task', function (t) {
+    runWfJob(t, {
+        name: 'Failing map wf',
+        chain: [ {
+            name: 'Abort map task',
+            map: 'params.servers',
+            on_item_error: 'ignore',
+            body: function (job, cb) {
+                return cb((job.map_item === 'bar') ? 'bar failed' : null);
+            }
+        }, {
+            name: 'Continue map task',
+            map: 'params.servers',
+            on_item_error: 'continue',
+            body: function (job, cb) {
+                return cb((job.map_item === 'foo') ? 'foo failed' : null);
+            }
+        }],
+        onerror: [ {
+            name: 'Abort map task',
+            map: 'params.servers',
+            body: function (job, cb) {
+                return cb((job.map_item === 'bar') ? 'bar failed' : null);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'failed', 'job execution');
+        var ignored = job.chain_results[0];
+        t.equal(ignored.error, '', 'ignored map error');
+        t.equal(ignored.map[1].error, 'bar failed', 'ignored item error');
+        var continued = job.chain_results[1];
+        t.equal(continued.error, 'foo failed', 'continued map error');
+        t.equal(continued.map.length, 3, 'continued map results');
+        t.equal(continued.map[2].result, 'OK', 'continued item result');
+        var aborted = job.onerror_results[0];
+        t.equal(aborted.error, 'bar failed', 'aborted map error');
+        t.ok(aborted.map[2].skipped, 'aborted map pending item skipped');
+        t.equal(job.onerror_results.length, 1, 'onerror results');
+        t.end();
+    }, {servers: ['foo', 'bar', 'baz']});
+});
+
+
+test('a job with a map task over something else than an array',
+function (t) {
+    runWfJob(t, {
+        name: 'Wrong map wf',
+        chain: [ {
+            name: 'Wrong map task',
+            map: 'params.foo.bar',
+            body: function (job, cb) {
+                return cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'failed', 'job execution');
+        t.equal(job.chain_results[0].error,
+            'Task "map" params.foo.bar is not an array', 'map error');
+        t.end();
+    });
+});
+
+
+test('a failed job with compensations', function (t) {
+    runWfJob(t, {
+        name: 'Compensations wf',
+        chain: [ {
+            name: 'First task',
+            body: function (job, cb) {
+                return cb(null);
+            },
+            compensate: function (job, cb) {
+                return cb(null, 'first undone');
+            }
+        }, {
+            name: 'Map task',
+            map: 'params.servers',
+            body: function (job, cb) {
+                return cb(null);
+            },
+            compensate: function (job, cb) {
+                return cb(null, job.map_item + ' undone');
+            }
+        }, {
+            name: 'Task without compensation',
+            body: function (job, cb) {
+                return cb(null);
+            }
+        }, {
+            name: 'Failing task',
+            body: function (job, cb) {
+                return cb('Task failure');
+            },
+            compensate: function (job, cb) {
+                return cb(null, 'failing undone');
+            }
+        }],
+        onerror: [ {
+            name: 'Onerror task',
+            body: function (job, cb) {
+                job.compensated = job.compensation_results.length;
+                return cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'failed', 'job execution');
+        t.ok(job.compensation_results, 'compensation results');
+        t.equal(job.compensation_results.length, 3, 'compensations run');
+        t.equal(job.compensation_results[0].result, 'bar undone',
+            'last map item compensated first');
+        t.equal(job.compensation_results[0].index, 1, 'map item index');
+        t.equal(job.compensation_results[1].result, 'foo undone',
+            'first map item compensated');
+        t.equal(job.compensation_results[2].result, 'first undone',
+            'first task compensated last');
+        t.equal(job.compensated, 3, 'compensations run before onerror');
+        t.end();
+    }, {servers: ['foo', 'bar']});
+});
+
+
+function subWorkflowTest(t, child_body, callback) {
+    factory.workflow({
+        name: 'Child wf ' + uuid(),
+        chain: [ {
+            name: 'Child task',
+            body: child_body
+        }],
+        timeout: 60
+    }, function (err, child_wf) {
+        t.ifError(err, 'child wf error');
+        runWfJob(t, {
+            name: 'Parent wf ' + uuid(),
+            chain: [ {
+                name: 'Sub-workflow task',
+                workflow: child_wf.name,
+                params: {
+                    child: true
+                }
+            }, {
+                name: 'After child task',
+                body: function (job, cb) {
+                    job.afterChild = true;
+                    return cb(null);
+                }
+            }],
+            timeout: 60
+        }, function (err, parent) {
+            t.ifError(err, 'get parent job error');
+            t.equal(parent.execution, 'waiting', 'parent job waiting');
+            t.equal(parent.chain_results.length, 1, 'parent chain results');
+            var child_uuid = parent.chain_results[0].child_job;
+            t.ok(child_uuid, 'child job uuid');
+            t.deepEqual(parent.child_jobs, [child_uuid], 'parent child jobs');
+            backend.getJob(child_uuid, function (err, child) {
+                t.ifError(err, 'get child job error');
+                t.equal(child.parent_job, parent.uuid, 'child parent job');
+                t.equal(child.workflow_uuid, child_wf.uuid, 'child workflow');
+                t.equal(child.params.foo, 'bar', 'child job params');
+                t.ok(child.params.child, 'child job task params');
+                runQueuedJob(t, child, function (err, child) {
+                    t.ifError(err, 'get child job error');
+                    backend.getJob(parent.uuid, function (err, parent) {
+                        t.ifError(err, 'get parent job error');
+                        t.equal(parent.execution, 'queued',
+                            'parent job resumed');
+                        t.equal(parent.chain_results[0].child_execution,
+                            child.execution, 'child execution');
+                        runQueuedJob(t, parent, callback);
+                    });
+                });
+            });
+        }, {foo: 'bar'});
+    });
+}
+
+
+test('a job with a sub-workflow task', function (t) {
+    subWorkflowTest(t, function (job, cb) {
+        return cb(null, 'Child OK');
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'succeeded', 'job execution');
+        t.equal(job.chain_results.length, 2, 'chain results');
+        t.equal(job.chain_results[0].result, 'Child OK', 'child result');
+        t.equal(job.chain_results[0].error, '', 'child error');
+        t.ok(job.afterChild, 'task after child job run');
+        t.end();
+    });
+});
+
+
+test('a job with a failing sub-workflow task', function (t) {
+    subWorkflowTest(t, function (job, cb) {
+        return cb('Child failure');
+    }, function (err, job) {
+        t.ifError(err, 'get job error');
+        t.equal(job.execution, 'failed', 'job execution');
+        t.equal(job.chain_results.length, 1, 'chain results');
+        t.equal(job.chain_results[0].child_execution, 'failed',
+            'child execution');
+        t.equal(job.chain_results[0].error, 'Child failure', 'child error');
+        t.notOk(job.afterChild, 'task after child job not run');
+        t.end();
+    });
+});
+
+
 test('teardown', function (t) {
     backend.quit(function () {
         t.end();
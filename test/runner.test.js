@@ -522,6 +522,228 @@ test('stale jobs', function (t) {
 });
 
 
+test('recover interrupted jobs', function (t) {
+    var deadRunner = uuid();
+
+    vasync.pipeline({
+        arg: {},
+        funcs: [
+            function createWorkflow(ctx, next) {
+                factory.workflow({
+                    name: 'Recovery wf',
+                    chain: [ {
+                        name: 'First Task',
+                        body: function (_job, cb) {
+                            cb(null);
+                        }
+                    }, {
+                        name: 'Idempotent Task',
+                        idempotent: true,
+                        body: function (_job, cb) {
+                            cb(null);
+                        }
+                    }, {
+                        name: 'Last Task',
+                        body: function (_job, cb) {
+                            cb(null);
+                        }
+                    }],
+                    recovery: 'requeue-if-idempotent',
+                    timeout: 60,
+                    max_attempts: 1
+                }, function (err, wf) {
+                    t.ifError(err, 'Recovery wf error');
+                    t.equal(wf.recovery, 'requeue-if-idempotent');
+                    ctx.wf = wf;
+                    next();
+                });
+            },
+            function createJob(ctx, next) {
+                factory.job({
+                    workflow: ctx.wf.uuid,
+                    exec_after: '2012-01-03T12:54:05.788Z'
+                }, function (err, job) {
+                    t.ifError(err, 'job error');
+                    ctx.aJob = job;
+                    next();
+                });
+            },
+            function runJob(ctx, next) {
+                backend.runJob(ctx.aJob.uuid, deadRunner, function (err) {
+                    t.ifError(err, 'backend run job error');
+                    backend.updateJobProperty(ctx.aJob.uuid, 'chain_results',
+                        [ {result: 'OK', error: ''} ], function (err1) {
+                        t.ifError(err1, 'update job error');
+                        next();
+                    });
+                });
+            },
+            function requeueJob(ctx, next) {
+                runner.recoverJob(ctx.aJob.uuid, 'runner restart',
+                    function (err, action) {
+                    t.ifError(err, 'recover job error');
+                    t.equal(action, 'requeue', 'Idempotent task requeued');
+                    backend.getJob(ctx.aJob.uuid, function (err1, job) {
+                        t.ifError(err1, 'get job error');
+                        t.equal(job.execution, 'queued', 'Job is queued');
+                        t.notOk(job.runner_id, 'Job runner_id');
+                        t.equal(job.chain_results.length, 1,
+                            'Job results kept');
+                        t.equivalent(job.info[job.info.length - 1].data, {
+                            recovery: 'requeue',
+                            reason: 'runner restart',
+                            runner_id: deadRunner
+                        }, 'Recovery info');
+                        next();
+                    });
+                });
+            },
+            function runJobAgain(ctx, next) {
+                backend.runJob(ctx.aJob.uuid, deadRunner, function (err) {
+                    t.ifError(err, 'backend run job error');
+                    backend.updateJobProperty(ctx.aJob.uuid, 'chain_results',
+                        [ {result: 'OK', error: ''},
+                          {result: 'OK', error: ''} ],
+                        function (err1) {
+                        t.ifError(err1, 'update job error');
+                        next();
+                    });
+                });
+            },
+            function doNotRequeueJob(ctx, next) {
+                runner.recoverJob(ctx.aJob.uuid, 'inactive runner',
+                    function (err, action) {
+                    t.ifError(err, 'recover job error');
+                    t.equal(action, 'cancel', 'Not idempotent task');
+                    backend.getJob(ctx.aJob.uuid, function (err1, job) {
+                        t.ifError(err1, 'get job error');
+                        t.equal(job.execution, 'running',
+                            'Job left to the caller');
+                        t.equal(job.info[job.info.length - 1].data.recovery,
+                            'cancel', 'Recovery info');
+                        next();
+                    });
+                });
+            },
+            function cancelJob(ctx, next) {
+                backend.cancelJob(ctx.aJob.uuid, function (err) {
+                    t.ifError(err, 'cancel job error');
+                    next();
+                });
+            }
+        ]
+    }, function pipeCb(pipeErr) {
+        t.end(pipeErr);
+    });
+});
+
+
+test('job leases', function (t) {
+    var stuckRunner = uuid();
+
+    vasync.pipeline({
+        arg: {},
+        funcs: [
+            function createWorkflow(ctx, next) {
+                factory.workflow({
+                    name: 'Lease wf',
+                    chain: [ {
+                        name: 'Slow Task',
+                        body: function (_job, cb) {
+                            setTimeout(function () {
+                                cb(null);
+                            }, 2000);
+                        }
+                    }],
+                    recovery: 'requeue',
+                    timeout: 60,
+                    max_attempts: 1
+                }, function (err, wf) {
+                    t.ifError(err, 'Lease wf error');
+                    ctx.wf = wf;
+                    next();
+                });
+            },
+            function createJob(ctx, next) {
+                factory.job({
+                    workflow: ctx.wf.uuid,
+                    exec_after: '2012-01-03T12:54:05.788Z'
+                }, function (err, job) {
+                    t.ifError(err, 'job error');
+                    ctx.aJob = job;
+                    next();
+                });
+            },
+            function runJob(_, next) {
+                runner.run();
+                setTimeout(next, 1500);
+            },
+            function checkLease(ctx, next) {
+                backend.getJob(ctx.aJob.uuid, function (err, job) {
+                    t.ifError(err, 'get job err');
+                    t.equal(job.execution, 'running', 'Job is running');
+                    t.equal(job.lease.owner, job.runner_id, 'Lease owner');
+                    t.ok(job.lease.renewals >= 1, 'Lease renewed');
+                    t.ok(new Date(job.lease.expires_at).getTime() >
+                        Date.now(), 'Lease not expired');
+                    next();
+                });
+            },
+            function createStuckJob(ctx, next) {
+                factory.job({
+                    workflow: ctx.wf.uuid,
+                    params: {stuck: true},
+                    exec_after: '2012-01-03T12:54:05.788Z'
+                }, function (err, job) {
+                    t.ifError(err, 'job error');
+                    ctx.stuckJob = job;
+                    // Run by a runner which never renews the job lease:
+                    backend.runJob(job.uuid, stuckRunner, function (err1) {
+                        t.ifError(err1, 'backend run job error');
+                        backend.renewJobLease(job.uuid, stuckRunner, -1000,
+                            function (err2) {
+                            t.ifError(err2, 'renew job lease error');
+                            next();
+                        });
+                    });
+                });
+            },
+            function checkExpiredLease(ctx, next) {
+                runner.expiredLeaseJobs(function (err, jobs) {
+                    t.ifError(err, 'expired lease jobs error');
+                    t.equivalent(jobs, [ctx.stuckJob.uuid],
+                        'Expired lease jobs');
+                    // Give the runner time enough to reclaim and run it:
+                    setTimeout(next, 4000);
+                });
+            },
+            function checkJobs(ctx, next) {
+                backend.getJob(ctx.aJob.uuid, function (err, job) {
+                    t.ifError(err, 'get job err');
+                    t.equal(job.execution, 'succeeded', 'Job succeeded');
+                    backend.getJob(ctx.stuckJob.uuid, function (err1, job1) {
+                        t.ifError(err1, 'get job err');
+                        t.equal(job1.execution, 'succeeded',
+                            'Reclaimed job succeeded');
+                        t.equivalent(job1.info[0].data, {
+                            recovery: 'requeue',
+                            reason: 'expired lease',
+                            runner_id: stuckRunner
+                        }, 'Recovery info');
+                        next();
+                    });
+                });
+            },
+            function quitRunner(_, next) {
+                runner.quit(next);
+            }
+        ]
+    }, function pipeCb(pipeErr) {
+        t.end(pipeErr);
+    });
+});
+
+
 test('timeout job', function (t) {
     vasync.pipeline({
         arg: {},
@@ -597,6 +819,709 @@ test('timeout job', function (t) {
 });
 
 
+test('cancel running job', function (t) {
+    vasync.pipeline({
+        arg: {},
+        funcs: [
+            function createWorkflow(ctx, next) {
+                factory.workflow({
+                    name: 'Cancel wf',
+                    chain: [
+                        {
+                            name: 'Long Task',
+                            retry: 0,
+                            body: function (_job, cb) {
+                                setTimeout(function () {
+                                    cb(null);
+                                }, 10000);
+                            }
+                        }
+                    ],
+                    oncancel: [ {
+                        name: 'On Cancel Task',
+                        body: function (job, cb) {
+                            job.cancelChainRun = true;
+                            cb(null);
+                        }
+                    }],
+                    timeout: 60,
+                    max_attempts: 1
+                }, function (err, wf) {
+                    t.ifError(err, 'Cancel wf error');
+                    t.ok(wf, 'Cancel wf OK');
+                    ctx.wf = wf;
+                    next();
+                });
+            },
+            function createJob(ctx, next) {
+                factory.job({
+                    workflow: ctx.wf.uuid,
+                    exec_after: '2012-01-03T12:54:05.788Z'
+                }, function (err, job) {
+                    t.ifError(err, 'job error');
+                    t.ok(job, 'job ok');
+                    ctx.aJob = job;
+                    next();
+                });
+            },
+            function runJob(_, next) {
+                runner.run();
+                // Give the runner time enough to pick the job:
+                setTimeout(next, 1000);
+            },
+            function cancelJob(ctx, next) {
+                backend.getJob(ctx.aJob.uuid, function (err, job) {
+                    t.ifError(err, 'get job err');
+                    t.equal('running', job.execution, 'Job is running');
+                    // Same thing API's cancelJob does:
+                    backend.updateJobProperty(ctx.aJob.uuid, 'execution',
+                        'canceled', function (err1) {
+                        t.ifError(err1, 'cancel job err');
+                        next();
+                    });
+                });
+            },
+            function checkJob(ctx, next) {
+                // Long before the task would have finished:
+                setTimeout(function () {
+                    backend.getJob(ctx.aJob.uuid, function (err, job) {
+                        t.ifError(err, 'get job err');
+                        t.equal('canceled', job.execution, 'Job is canceled');
+                        t.notOk(job.runner_id, 'Job is not locked');
+                        t.equal(job.chain_results[0].error, 'cancel',
+                            'task canceled');
+                        t.ok(job.chain_results[0].finished_at,
+                            'task finished_at');
+                        t.ok(job.cancelChainRun, 'oncancel chain run');
+                        t.equal(job.oncancel_results.length, 1,
+                            'oncancel results');
+                        t.ok(job.elapsed < 5, 'job finished promptly');
+                        next();
+                    });
+                }, 1500);
+            },
+            function quitRunner(_, next) {
+                runner.quit(next);
+            }
+        ]
+    }, function pipeCb(pipeErr) {
+        t.end(pipeErr);
+    });
+});
+
+
+test('pause running job', function (t) {
+    var pauseJob = backend.pauseJob;
+
+    // Like backends which update the saved job in place, instead of replacing
+    // it with the given one:
+    backend.pauseJob = function (job, cb) {
+        backend.getJob(job.uuid, function (err, saved) {
+            if (err) {
+                return cb(err);
+            }
+            Object.keys(job).forEach(function (p) {
+                saved[p] = job[p];
+            });
+            return pauseJob(saved, cb);
+        });
+    };
+
+    vasync.pipeline({
+        arg: {},
+        funcs: [
+            function createWorkflow(ctx, next) {
+                factory.workflow({
+                    name: 'Pause wf',
+                    chain: [ {
+                        name: 'Slow Task',
+                        body: function (_job, cb) {
+                            setTimeout(function () {
+                                cb(null);
+                            }, 1500);
+                        }
+                    }, {
+                        name: 'Next Task',
+                        body: function (_job, cb) {
+                            cb(null);
+                        }
+                    }],
+                    timeout: 60,
+                    max_attempts: 1
+                }, function (err, wf) {
+                    t.ifError(err, 'Pause wf error');
+                    ctx.wf = wf;
+                    next();
+                });
+            },
+            function createJob(ctx, next) {
+                factory.job({
+                    workflow: ctx.wf.uuid,
+                    exec_after: '2012-01-03T12:54:05.788Z'
+                }, function (err, job) {
+                    t.ifError(err, 'job error');
+                    ctx.aJob = job;
+                    next();
+                });
+            },
+            function runJob(_, next) {
+                runner.run();
+                // Give the runner time enough to pick the job:
+                setTimeout(next, 700);
+            },
+            function pauseJob(ctx, next) {
+                // Same thing API's pauseJob does:
+                backend.updateJobProperty(ctx.aJob.uuid, 'pause_requested',
+                    true, function (err) {
+                    t.ifError(err, 'pause job err');
+                    next();
+                });
+            },
+            function checkPausedJob(ctx, next) {
+                // Once the slow task has finished:
+                setTimeout(function () {
+                    backend.getJob(ctx.aJob.uuid, function (err, job) {
+                        t.ifError(err, 'get job err');
+                        t.equal(job.execution, 'waiting', 'Job is paused');
+                        t.ok(job.paused_at, 'Job paused_at');
+                        t.notOk(job.pause_requested, 'Pause done');
+                        t.equal(job.chain_results.length, 1,
+                            'Current task finished');
+                        t.equal(job.chain_results[0].error, '');
+                        ctx.aJob = job;
+                        next();
+                    });
+                }, 2000);
+            },
+            function resumeJob(ctx, next) {
+                // Same thing API's resumeJob does:
+                delete ctx.aJob.paused_at;
+                backend.resumeJob(ctx.aJob, function (err) {
+                    t.ifError(err, 'resume job err');
+                    setTimeout(next, 1000);
+                });
+            },
+            function checkJob(ctx, next) {
+                backend.getJob(ctx.aJob.uuid, function (err, job) {
+                    t.ifError(err, 'get job err');
+                    t.equal(job.execution, 'succeeded', 'Job succeeded');
+                    t.equal(job.chain_results.length, 2, 'Job results');
+                    t.notOk(job.pause_requested, 'No pause requested');
+                    next();
+                });
+            },
+            function quitRunner(_, next) {
+                runner.quit(next);
+            }
+        ]
+    }, function pipeCb(pipeErr) {
+        backend.pauseJob = pauseJob;
+        t.end(pipeErr);
+    });
+});
+
+
+test('job waiting for a signal which times out', function (t) {
+    var otherRunner = '00000000-0000-0000-0000-000000000000';
+
+    factory.workflow({
+        name: 'Signal timeout wf',
+        chain: [ {
+            name: 'Wait for signal task',
+            body: function (job, cb) {
+                return cb('wait', {signal: 'dns-ready', timeout: 0.5});
+            }
+        }],
+        timeout: 60,
+        max_attempts: 1
+    }, function (err, wf) {
+        t.ifError(err, 'Signal timeout wf error');
+        factory.job({
+            workflow: wf.uuid,
+            exec_after: '2012-01-03T12:54:05.788Z'
+        }, function (err1, job) {
+            t.ifError(err1, 'job error');
+            // Only the leader resumes the jobs whose signal wait timed out:
+            backend.runnerActive(otherRunner, function (err2) {
+                t.ifError(err2, 'runner active error');
+                runner.run();
+                setTimeout(notLeader, 1000);
+            });
+
+            function notLeader() {
+                backend.getJob(job.uuid, function (err3, job3) {
+                    t.ifError(err3, 'get job error');
+                    t.equal(job3.execution, 'waiting', 'job still waiting');
+                    backend.runnerActive(otherRunner,
+                        '2012-01-03T12:54:05.788Z', function (err4) {
+                        t.ifError(err4, 'runner active error');
+                        setTimeout(leader, 1500);
+                    });
+                });
+            }
+
+            function leader() {
+                runner.quit(function () {
+                    backend.getJob(job.uuid, function (err3, job3) {
+                        t.ifError(err3, 'get job error');
+                        t.equal(job3.execution, 'failed', 'job failed');
+                        t.equal(job3.chain_results[0].error,
+                            'Signal "dns-ready" timeout', 'signal error');
+                        runner.expiredWaitingJobs(function (err4, jobs) {
+                            t.ifError(err4, 'expired waiting jobs error');
+                            t.equal(jobs.length, 0, 'no expired jobs');
+                            t.end();
+                        });
+                    });
+                });
+            }
+        });
+    });
+});
+
+
+test('runner queues', function (t) {
+    t.equivalent(runner.queues, ['default'], 'default runner queues');
+    factory.workflow({
+        name: 'Heavy wf',
+        chain: [ {
+            name: 'Heavy task',
+            body: function (_job, cb) {
+                cb(null);
+            }
+        }],
+        timeout: 60,
+        queue: 'heavy'
+    }, function (err, wf) {
+        t.ifError(err, 'Heavy wf error');
+        factory.job({
+            workflow: wf.uuid,
+            exec_after: '2012-01-03T12:54:05.788Z'
+        }, function (err1, job) {
+            t.ifError(err1, 'job error');
+            t.equal(job.queue, 'heavy', 'job queue');
+            runner.run();
+            setTimeout(function () {
+                runner.quit(function () {
+                    backend.getJob(job.uuid, function (err2, job2) {
+                        t.ifError(err2, 'get job error');
+                        t.equal(job2.execution, 'queued',
+                            'job from another queue not run');
+                        backend.updateJobProperty(job.uuid, 'execution',
+                            'canceled', function (err3) {
+                            t.ifError(err3, 'cancel job error');
+                            t.end();
+                        });
+                    });
+                });
+            }, 1000);
+        });
+    });
+});
+
+
+test('backend without queues support', function (t) {
+    var nextJobs = backend.nextJobs;
+    var calls = 0;
+    // Like backends whose nextJobs does not take a `queues` argument:
+    backend.nextJobs = function (start, stop, callback) {
+        calls += 1;
+        t.equal(typeof (callback), 'function', 'nextJobs callback');
+        return nextJobs(start, stop, callback);
+    };
+    factory.workflow({
+        name: 'No queues wf',
+        chain: [ {
+            name: 'No queues task',
+            body: function (_job, cb) {
+                cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, wf) {
+        t.ifError(err, 'No queues wf error');
+        factory.job({
+            workflow: wf.uuid,
+            exec_after: '2012-01-03T12:54:05.788Z'
+        }, function (err1, job) {
+            t.ifError(err1, 'job error');
+            runner.run();
+            setTimeout(function () {
+                runner.quit(function () {
+                    backend.nextJobs = nextJobs;
+                    t.ok(calls > 0, 'nextJobs called');
+                    backend.getJob(job.uuid, function (err2, job2) {
+                        t.ifError(err2, 'get job error');
+                        t.equal(job2.execution, 'succeeded', 'job run');
+                        t.end();
+                    });
+                });
+            }, 1000);
+        });
+    });
+});
+
+
+// Run a job with a runner whose backend lacks the given methods, then get
+// the job from the backend once the methods are back:
+function runJobWithout(t, methods, callback) {
+    var saved = {};
+    methods.forEach(function (m) {
+        saved[m] = backend[m];
+        delete backend[m];
+    });
+
+    factory.workflow({
+        name: 'Without ' + methods.join(', ') + ' wf',
+        chain: [ {
+            name: 'Without methods task',
+            body: function (_job, cb) {
+                cb(null);
+            }
+        }],
+        timeout: 60
+    }, function (err, wf) {
+        t.ifError(err, 'workflow error');
+        factory.job({
+            workflow: wf.uuid,
+            exec_after: '2012-01-03T12:54:05.788Z'
+        }, function (err1, job) {
+            t.ifError(err1, 'job error');
+            runner.run();
+            setTimeout(function () {
+                runner.quit(function () {
+                    methods.forEach(function (m) {
+                        backend[m] = saved[m];
+                    });
+                    backend.getJob(job.uuid, callback);
+                });
+            }, 1000);
+        });
+    });
+}
+
+
+test('backend without leases support', function (t) {
+    var getExpiredLeaseJobs = backend.getExpiredLeaseJobs;
+    delete backend.getExpiredLeaseJobs;
+    runner.expiredLeaseJobs(function (err, jobs) {
+        backend.getExpiredLeaseJobs = getExpiredLeaseJobs;
+        t.ifError(err, 'expired lease jobs error');
+        t.equivalent(jobs, [], 'no expired lease jobs');
+        runJobWithout(t, ['renewJobLease', 'getExpiredLeaseJobs'],
+            function (err2, job) {
+            t.ifError(err2, 'get job error');
+            t.equal(job.execution, 'succeeded', 'job run');
+            t.equal(job.lease, undefined, 'no job lease');
+            t.end();
+        });
+    });
+});
+
+
+test('backend without schedules support', function (t) {
+    var methods = ['createSchedule', 'getSchedule', 'getSchedules',
+        'updateSchedule', 'deleteSchedule'];
+    var getSchedules = backend.getSchedules;
+    delete backend.getSchedules;
+    runner.runSchedules(function (err, jobs) {
+        backend.getSchedules = getSchedules;
+        t.ifError(err, 'run schedules error');
+        t.equivalent(jobs, [], 'no scheduled jobs');
+        runJobWithout(t, methods, function (err2, job) {
+            t.ifError(err2, 'get job error');
+            t.equal(job.execution, 'succeeded', 'job run');
+            t.end();
+        });
+    });
+});
+
+
+test('jobs queued while polling rarely', function (t) {
+    // A runner which would not poll the backend again for a minute:
+    var cfg = {
+        backend: helper.config().backend,
+        runner: {
+            identifier: uuid(),
+            run_interval: 60000,
+            do_fork: config.runner.do_fork
+        },
+        dtrace: DTRACE
+    };
+    var slowRunner = WorkflowRunner(cfg);
+    var slowFactory;
+
+    t.equal(slowRunner.backend.notifies, true, 'backend notifies');
+    slowRunner.init(function (err) {
+        t.ifError(err, 'runner init error');
+        slowFactory = Factory(slowRunner.backend);
+        slowFactory.workflow({
+            name: 'Push wf',
+            chain: [ {
+                name: 'Push task',
+                body: function (_job, cb) {
+                    cb(null);
+                }
+            }],
+            timeout: 60
+        }, function (err1, wf) {
+            t.ifError(err1, 'Push wf error');
+            slowRunner.run();
+            // Once the first poll is done:
+            setTimeout(function () {
+                slowFactory.job({
+                    workflow: wf.uuid,
+                    exec_after: '2012-01-03T12:54:05.788Z'
+                }, function (err2, job) {
+                    t.ifError(err2, 'job error');
+                    setTimeout(function () {
+                        slowRunner.backend.getJob(job.uuid,
+                            function (err3, job3) {
+                            t.ifError(err3, 'get job error');
+                            t.equal(job3.execution, 'succeeded',
+                                'job run without waiting for next poll');
+                            slowRunner.quit(function () {
+                                slowRunner.backend.quit(function () {
+                                    t.end();
+                                });
+                            });
+                        });
+                    }, 2000);
+                });
+            }, 500);
+        });
+    });
+});
+
+
+test('child processes pool', function (t) {
+    var cfg = {
+        backend: helper.config().backend,
+        runner: {
+            identifier: uuid(),
+            pool_size: 1,
+            max_tasks_per_worker: 3,
+            worker_idle_timeout: 60000,
+            sandbox: config.runner.sandbox,
+            do_fork: config.runner.do_fork
+        },
+        dtrace: DTRACE
+    };
+    var poolRunner = WorkflowRunner(cfg);
+    var pool = poolRunner.pool;
+    var first;
+
+    // Every task records the pid of the child process running it:
+    function pidTask(name) {
+        return {
+            name: name,
+            body: function (job, cb) {
+                job.wf_pids = (job.wf_pids || []).concat([proc.pid]);
+                cb(null);
+            },
+            modules: {
+                proc: 'process'
+            }
+        };
+    }
+
+    vasync.pipeline({
+        funcs: [
+            function reuse(_, next) {
+                first = pool.acquire();
+                pool.release(first, true);
+                t.equal(pool.idleCount(), 1, 'child process kept idle');
+                var second = pool.acquire();
+                t.equal(second.pid, first.pid, 'child process reused');
+                t.equal(pool.idleCount(), 0, 'no idle child processes');
+                pool.release(second, true);
+                var third = pool.acquire();
+                t.equal(third.pid, first.pid, 'child process reused again');
+                pool.release(third, true);
+                // Max tasks per child process reached:
+                t.equal(pool.idleCount(), 0, 'child process recycled');
+                first.once('exit', function () {
+                    next();
+                });
+            },
+            function runJob(_, next) {
+                if (!config.runner.do_fork) {
+                    return next();
+                }
+                return poolRunner.init(function (err) {
+                    t.ifError(err, 'runner init error');
+                    var poolFactory = Factory(poolRunner.backend);
+                    poolFactory.workflow({
+                        name: 'Pool wf',
+                        chain: [
+                            pidTask('First task'),
+                            {
+                                name: 'Timeout task',
+                                timeout: 0.2,
+                                body: function (job, cb) {
+                                    job.wf_pids = job.wf_pids.concat(
+                                        [proc.pid]);
+                                    // Never calls back
+                                },
+                                fallback: function (err, job, cb) {
+                                    cb(null);
+                                },
+                                modules: {
+                                    proc: 'process'
+                                }
+                            },
+                            pidTask('Third task'),
+                            pidTask('Fourth task')
+                        ],
+                        timeout: 60
+                    }, function (err1, wf) {
+                        t.ifError(err1, 'Pool wf error');
+                        poolRunner.run();
+                        t.equal(pool.idleCount(), 1, 'child process forked');
+                        poolFactory.job({
+                            workflow: wf.uuid,
+                            exec_after: '2012-01-03T12:54:05.788Z'
+                        }, function (err2, job) {
+                            t.ifError(err2, 'job error');
+                            setTimeout(function () {
+                                poolRunner.backend.getJob(job.uuid,
+                                    function (err3, job3) {
+                                    t.ifError(err3, 'get job error');
+                                    t.equal(job3.execution, 'succeeded');
+                                    var pids = job3.wf_pids;
+                                    t.equal(pids.length, 4, 'tasks run');
+                                    t.equal(pids[1], pids[0],
+                                        'child process reused');
+                                    t.notEqual(pids[2], pids[1],
+                                        'child process recycled on timeout');
+                                    t.notEqual(pids[2], first.pid,
+                                        'new child process');
+                                    t.equal(pids[3], pids[2],
+                                        'new child process reused');
+                                    next();
+                                });
+                            }, 2000);
+                        });
+                    });
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err);
+        poolRunner.quit(function () {
+            t.equal(pool.idleCount(), 0, 'idle child processes recycled');
+            poolRunner.backend.quit(function () {
+                t.end();
+            });
+        });
+    });
+});
+
+
+test('scheduled jobs', function (t) {
+    var otherRunner = '00000000-0000-0000-0000-000000000000';
+    var thisYear = new Date().getUTCFullYear();
+    var schedules = {};
+
+    function createSchedule(catch_up, cb) {
+        // Yearly, and missing runs since 2015:
+        schedules[catch_up] = {
+            uuid: uuid(),
+            workflow: okWf.uuid,
+            cron: '0 0 1 1 *',
+            params: {catch_up: catch_up},
+            catch_up: catch_up,
+            next_run_at: '2015-01-01T00:00:00.000Z',
+            last_run_at: null
+        };
+        backend.createSchedule(schedules[catch_up], cb);
+    }
+
+    vasync.pipeline({
+        funcs: [
+            function createSchedules(_, next) {
+                vasync.forEachPipeline({
+                    inputs: ['last', 'all', 'skip'],
+                    func: createSchedule
+                }, next);
+            },
+            function notLeader(_, next) {
+                backend.runnerActive(otherRunner, function (err) {
+                    t.ifError(err, 'runner active error');
+                    runner.isLeader(function (err2, leader) {
+                        t.ifError(err2, 'is leader error');
+                        t.equal(leader, false, 'runner is not leader');
+                        runner.runSchedules(function (err3, jobs) {
+                            t.ifError(err3, 'run schedules error');
+                            t.equivalent(jobs, [], 'no jobs queued');
+                            next();
+                        });
+                    });
+                });
+            },
+            function leader(_, next) {
+                backend.runnerActive(otherRunner, '2012-01-03T12:54:05.788Z',
+                    function (err) {
+                    t.ifError(err, 'runner active error');
+                    runner.runSchedules(function (err2, jobs) {
+                        t.ifError(err2, 'run schedules error');
+                        t.equal(jobs.length, 1 + thisYear - 2015 + 1,
+                            'jobs queued');
+                        next();
+                    });
+                });
+            },
+            function checkJobs(_, next) {
+                backend.getJobs({catch_up: 'last'}, function (err, jobs) {
+                    t.ifError(err, 'get jobs error');
+                    t.equal(jobs.length, 1, 'last catch up jobs');
+                    t.equal(jobs[0].exec_after, thisYear +
+                        '-01-01T00:00:00.000Z', 'last run');
+                    t.equal(jobs[0].schedule_uuid, schedules.last.uuid,
+                        'job schedule');
+                    backend.getJobs({catch_up: 'all'}, function (err2, jobs2) {
+                        t.ifError(err2, 'get jobs error');
+                        t.equal(jobs2.length, thisYear - 2015 + 1,
+                            'all catch up jobs');
+                        backend.getJobs({catch_up: 'skip'},
+                            function (err3, jobs3) {
+                            t.ifError(err3, 'get jobs error');
+                            t.equal(jobs3.length, 0, 'skip catch up jobs');
+                            next();
+                        });
+                    });
+                });
+            },
+            function checkSchedule(_, next) {
+                backend.getSchedule(schedules.skip.uuid,
+                    function (err, schedule) {
+                    t.ifError(err, 'get schedule error');
+                    t.equal(schedule.last_run_at, thisYear +
+                        '-01-01T00:00:00.000Z', 'schedule last run');
+                    t.equal(schedule.next_run_at, (thisYear + 1) +
+                        '-01-01T00:00:00.000Z', 'schedule next run');
+                    runner.runSchedules(function (err2, jobs) {
+                        t.ifError(err2, 'run schedules error');
+                        t.equivalent(jobs, [], 'no jobs queued twice');
+                        next();
+                    });
+                });
+            }
+        ]
+    }, function (err) {
+        t.ifError(err, 'scheduled jobs error');
+        vasync.forEachPipeline({
+            inputs: Object.keys(schedules),
+            func: function (k, cb) {
+                backend.deleteSchedule(schedules[k], cb);
+            }
+        }, function () {
+            t.end();
+        });
+    });
+});
+
+
 test('teardown', function (t) {
     var cfg_file = path.resolve(__dirname, '../workflow-indentifier');
     runner.backend.quit(function () {
@@ -716,3 +716,150 @@ test('a task which defines its own modules', function (t) {
         t.end();
     });
 });
+
+
+test('task "when" predicate', function (t) {
+    var aTask = {
+        uuid: uuid(),
+        name: 'A conditional task',
+        body: function (job, cb) {
+            return cb(null);
+        }.toString()
+    };
+    t.ok(WorkflowTaskRunner.shouldRun({
+        job: job,
+        task: aTask
+    }), 'no predicate');
+
+    aTask.when = function (job) {
+        return (job.params.a === '1' && foo === 'bar');
+    }.toString();
+    t.ok(WorkflowTaskRunner.shouldRun({
+        job: job,
+        task: aTask,
+        sandbox: sandbox
+    }), 'predicate holds');
+
+    aTask.when = function (job) {
+        return (job.params.c);
+    }.toString();
+    t.notOk(WorkflowTaskRunner.shouldRun({
+        job: job,
+        task: aTask,
+        sandbox: sandbox
+    }), 'predicate does not hold');
+
+    aTask.when = '5 === 5';
+    t.throws(function () {
+        return WorkflowTaskRunner.shouldRun({
+            job: job,
+            task: aTask
+        });
+    }, new TypeError('opt.task.when (String) must be a Function source'));
+
+    aTask.when = function () {
+        while (true) {}
+    }.toString();
+    t.throws(function () {
+        return WorkflowTaskRunner.shouldRun({
+            job: job,
+            task: aTask
+        });
+    }, new Error('Script execution timed out after 1000ms'), 'timed out');
+    t.end();
+});
+
+
+test('a task which retries with backoff', function (t) {
+    var started = Date.now();
+    var aTask = {
+        uuid: uuid(),
+        name: 'A task with backoff',
+        retry: 3,
+        retry_delay: 100,
+        retry_backoff: JSON.stringify({
+            factor: 3,
+            max_delay: 200
+        }),
+        body: function (job, cb) {
+            job.count = (job.count || 0) + 1;
+            return cb((job.count < 3) ? 'Attempt ' + job.count : null);
+        }.toString()
+    };
+
+    var wf_task_runner = WorkflowTaskRunner({
+        job: {
+            uuid: uuid(),
+            params: {}
+        },
+        task: aTask
+    });
+
+    wf_task_runner.runTask(function (msg) {
+        // Retries after 100ms and then min(300, 200)ms:
+        t.ok(Date.now() - started >= 300, 'retry delays');
+        t.equal(msg.error, '', 'task error');
+        t.equal(msg.cmd, 'run');
+        t.equal(msg.attempts.length, 3, 'attempts');
+        t.equal(msg.attempts[0].error, 'Attempt 1', 'first attempt error');
+        t.equal(msg.attempts[1].error, 'Attempt 2', 'second attempt error');
+        t.equal(msg.attempts[2].error, '', 'last attempt error');
+        t.ok(msg.attempts[2].started_at, 'attempt started_at');
+        t.ok(msg.attempts[2].finished_at, 'attempt finished_at');
+        t.end();
+    });
+});
+
+
+test('a task which retries only some errors', function (t) {
+    var aTask = {
+        uuid: uuid(),
+        name: 'A task with retryable errors',
+        retry: 5,
+        retry_on: JSON.stringify(['ETIMEDOUT', 'ECONNRESET']),
+        body: function (job, cb) {
+            job.count = (job.count || 0) + 1;
+            if (job.count === 1) {
+                return cb('ETIMEDOUT');
+            }
+            var err = new Error('Connection reset');
+            err.code = (job.count === 2) ? 'ECONNRESET' : 'ENOENT';
+            return cb(err);
+        }.toString()
+    };
+
+    var wf_task_runner = WorkflowTaskRunner({
+        job: {
+            uuid: uuid(),
+            params: {}
+        },
+        task: aTask
+    });
+
+    wf_task_runner.runTask(function (msg) {
+        t.equal(msg.cmd, 'error');
+        t.equal(msg.attempts.length, 3, 'attempts');
+        t.equal(msg.attempts[0].error, 'ETIMEDOUT', 'first attempt error');
+        t.equal(msg.attempts[2].error, 'Connection reset',
+            'last attempt error');
+        aTask.retry_on = function (err, job) {
+            return (err !== 'Fatal');
+        }.toString();
+        aTask.body = function (job, cb) {
+            job.count = (job.count || 0) + 1;
+            return cb((job.count === 1) ? 'Transient' : 'Fatal');
+        }.toString();
+        wf_task_runner = WorkflowTaskRunner({
+            job: {
+                uuid: uuid(),
+                params: {}
+            },
+            task: aTask
+        });
+        wf_task_runner.runTask(function (msg2) {
+            t.equal(msg2.error, 'Fatal', 'task error');
+            t.equal(msg2.attempts.length, 2, 'predicate attempts');
+            t.end();
+        });
+    });
+});